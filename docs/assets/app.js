@@ -1,4 +1,15 @@
-import { daysLeft, formatDate, itemSummaryText, normalizeInput, rankItems } from "./matching.js";
+import {
+  DEFAULT_WEIGHTS,
+  formatDate,
+  formatDeadlineTime,
+  itemSummaryText,
+  normalizeInput,
+  rankItems,
+  resolveWeights,
+  utcMsToZonedTime
+} from "./matching.js";
+import { DISCIPLINES } from "./taxonomy.js";
+import { itemTimelineEvents, timelineSummary } from "./timeline.js";
 
 const STORAGE_KEY = "granthunter:ui-state:v2";
 
@@ -6,21 +17,35 @@ const state = {
   raw: null,
   items: [],
   sources: [],
+  scoringConfig: null,
+  timelines: null,
   filters: {
     keyword: "",
     type: "",
     status: "",
     source: "",
+    budgetMin: "",
+    budgetMax: "",
     sortBy: "match_desc",
     minMatch: 0,
     openOnly: false,
-    closingSoonOnly: false
+    closingSoonOnly: false,
+    hideIneligible: false
   },
   profile: {
     level: "",
     careerStage: "",
     nationality: "",
-    discipline: ""
+    discipline: "",
+    hostType: "",
+    contract: "",
+    yearsSincePhd: "",
+    ukResident: "",
+    industryPartner: ""
+  },
+  scoring: {
+    preset: "",
+    overrides: {}
   }
 };
 
@@ -28,6 +53,7 @@ const el = {
   stats: document.getElementById("stats"),
   lastUpdated: document.getElementById("lastUpdated"),
   cards: document.getElementById("cards"),
+  itemDetail: document.getElementById("itemDetail"),
   resultMeta: document.getElementById("resultMeta"),
   sourceFilter: document.getElementById("sourceFilter"),
   sourceList: document.getElementById("sourceList"),
@@ -66,7 +92,8 @@ function mergeState(partial) {
       ...partial.filters,
       minMatch: Number(partial.filters.minMatch ?? state.filters.minMatch) || 0,
       openOnly: Boolean(partial.filters.openOnly),
-      closingSoonOnly: Boolean(partial.filters.closingSoonOnly)
+      closingSoonOnly: Boolean(partial.filters.closingSoonOnly),
+      hideIneligible: Boolean(partial.filters.hideIneligible)
     };
   }
 
@@ -76,6 +103,16 @@ function mergeState(partial) {
       ...partial.profile
     };
   }
+
+  if (partial.scoring && typeof partial.scoring === "object") {
+    state.scoring = {
+      preset: String(partial.scoring.preset ?? state.scoring.preset),
+      overrides:
+        partial.scoring.overrides && typeof partial.scoring.overrides === "object"
+          ? partial.scoring.overrides
+          : state.scoring.overrides
+    };
+  }
 }
 
 function loadStateFromStorage() {
@@ -98,17 +135,30 @@ function loadStateFromUrl() {
       type: params.get("type") || state.filters.type,
       status: params.get("status") || state.filters.status,
       source: params.get("source") || state.filters.source,
+      budgetMin: params.get("bmin") || state.filters.budgetMin,
+      budgetMax: params.get("bmax") || state.filters.budgetMax,
       sortBy: params.get("sort") || state.filters.sortBy,
       minMatch: Number(params.get("min") || state.filters.minMatch),
       openOnly: readBool(params.get("open")),
-      closingSoonOnly: readBool(params.get("closing"))
+      closingSoonOnly: readBool(params.get("closing")),
+      hideIneligible: readBool(params.get("eligible"))
     },
     profile: {
       level: params.get("level") || state.profile.level,
       careerStage: params.get("career") || state.profile.careerStage,
       nationality: params.get("nat") || state.profile.nationality,
-      discipline: params.get("disc") || state.profile.discipline
-    }
+      discipline: params.get("disc") || state.profile.discipline,
+      hostType: params.get("host") || state.profile.hostType,
+      contract: params.get("contract") || state.profile.contract,
+      yearsSincePhd: params.get("yphd") || state.profile.yearsSincePhd,
+      ukResident: params.get("ukres") || state.profile.ukResident,
+      industryPartner: params.get("partner") || state.profile.industryPartner
+    },
+    // Weight overrides are personal and stay in this browser; a shared link carries only the preset.
+    scoring:
+      params.get("preset") && params.get("preset") !== state.scoring.preset
+        ? { preset: params.get("preset"), overrides: {} }
+        : state.scoring
   });
 }
 
@@ -118,7 +168,8 @@ function persistState() {
       STORAGE_KEY,
       JSON.stringify({
         filters: state.filters,
-        profile: state.profile
+        profile: state.profile,
+        scoring: state.scoring
       })
     );
   } catch {
@@ -130,17 +181,30 @@ function persistState() {
   if (state.filters.type) params.set("type", state.filters.type);
   if (state.filters.status) params.set("status", state.filters.status);
   if (state.filters.source) params.set("source", state.filters.source);
+  if (state.filters.budgetMin) params.set("bmin", state.filters.budgetMin);
+  if (state.filters.budgetMax) params.set("bmax", state.filters.budgetMax);
   if (state.filters.sortBy && state.filters.sortBy !== "match_desc") params.set("sort", state.filters.sortBy);
   if (state.filters.minMatch > 0) params.set("min", String(state.filters.minMatch));
   if (state.filters.openOnly) params.set("open", "1");
   if (state.filters.closingSoonOnly) params.set("closing", "1");
+  if (state.filters.hideIneligible) params.set("eligible", "1");
 
   if (state.profile.level) params.set("level", state.profile.level);
   if (state.profile.careerStage) params.set("career", state.profile.careerStage);
   if (state.profile.nationality) params.set("nat", state.profile.nationality);
   if (state.profile.discipline) params.set("disc", state.profile.discipline);
+  if (state.profile.hostType) params.set("host", state.profile.hostType);
+  if (state.profile.contract) params.set("contract", state.profile.contract);
+  if (state.profile.yearsSincePhd !== "") params.set("yphd", state.profile.yearsSincePhd);
+  if (state.profile.ukResident) params.set("ukres", state.profile.ukResident);
+  if (state.profile.industryPartner) params.set("partner", state.profile.industryPartner);
+  if (state.scoring.preset && state.scoring.preset !== state.scoringConfig?.defaultPreset) {
+    params.set("preset", state.scoring.preset);
+  }
 
-  const nextUrl = `${window.location.pathname}${params.toString() ? `?${params.toString()}` : ""}`;
+  const nextUrl = `${window.location.pathname}${params.toString() ? `?${params.toString()}` : ""}${
+    window.location.hash
+  }`;
   window.history.replaceState(null, "", nextUrl);
 }
 
@@ -150,12 +214,20 @@ function applyStateToInputs() {
     typeFilter: state.filters.type,
     statusFilter: state.filters.status,
     sourceFilter: state.filters.source,
+    budgetMin: state.filters.budgetMin,
+    budgetMax: state.filters.budgetMax,
     sortBy: state.filters.sortBy,
     minMatch: String(state.filters.minMatch),
     profileLevel: state.profile.level,
     profileCareer: state.profile.careerStage,
     profileNationality: state.profile.nationality,
-    profileDiscipline: state.profile.discipline
+    profileDiscipline: state.profile.discipline,
+    profileHost: state.profile.hostType,
+    profileContract: state.profile.contract,
+    profileYearsSincePhd: state.profile.yearsSincePhd,
+    profileUkResident: state.profile.ukResident,
+    profileIndustryPartner: state.profile.industryPartner,
+    scoringPreset: state.scoring.preset
   };
 
   for (const [id, value] of Object.entries(map)) {
@@ -166,15 +238,19 @@ function applyStateToInputs() {
 
   const openOnly = document.getElementById("openOnly");
   const closingSoonOnly = document.getElementById("closingSoonOnly");
+  const hideIneligible = document.getElementById("hideIneligible");
   if (openOnly) openOnly.checked = state.filters.openOnly;
   if (closingSoonOnly) closingSoonOnly.checked = state.filters.closingSoonOnly;
+  if (hideIneligible) hideIneligible.checked = state.filters.hideIneligible;
   if (el.minMatchValue) el.minMatchValue.textContent = String(state.filters.minMatch);
+  renderWeightInputs();
 }
 
 function renderStats(stats) {
   const cards = [
     { label: "Total", value: stats.total ?? 0 },
     { label: "Open", value: stats.open ?? 0 },
+    { label: "Upcoming", value: stats.upcoming ?? 0 },
     { label: "With Deadline", value: stats.withDeadline ?? 0 },
     { label: "New Today", value: stats.newToday ?? 0 },
     { label: "Updated Today", value: stats.updatedToday ?? 0 },
@@ -193,6 +269,64 @@ function renderStats(stats) {
     .join("");
 }
 
+function renderDisciplineOptions() {
+  const list = document.getElementById("disciplineOptions");
+  if (!list) return;
+  list.innerHTML = DISCIPLINES.map((entry) => `<option value="${escapeHtml(entry.id)}"></option>`).join("");
+}
+
+function activeWeights() {
+  return resolveWeights(state.scoringConfig, state.scoring.preset, state.scoring.overrides);
+}
+
+function weightLabel(key) {
+  const words = key.replace(/([A-Z])/g, " $1").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function renderPresetOptions() {
+  const select = document.getElementById("scoringPreset");
+  if (!select) return;
+  const presets = Object.entries(state.scoringConfig?.presets || {});
+  select.innerHTML = presets.length
+    ? presets
+        .map(([id, preset]) => `<option value="${escapeHtml(id)}">${escapeHtml(preset.label || id)}</option>`)
+        .join("")
+    : '<option value="">Built-in defaults</option>';
+
+  // A preset from an old link or a renamed config falls back to the default.
+  if (!state.scoringConfig?.presets?.[state.scoring.preset]) {
+    state.scoring.preset = presets.length ? state.scoringConfig.defaultPreset || presets[0][0] : "";
+  }
+}
+
+function renderWeightInputs() {
+  const container = document.getElementById("weightInputs");
+  if (!container) return;
+  const weights = activeWeights();
+  container.innerHTML = Object.keys(DEFAULT_WEIGHTS)
+    .map(
+      (key) => `
+        <label>
+          ${escapeHtml(weightLabel(key))}
+          <input type="number" step="1" data-weight="${escapeHtml(key)}" value="${weights[key]}"${
+        key in state.scoring.overrides ? ' class="overridden"' : ""
+      } />
+        </label>
+      `
+    )
+    .join("");
+
+  const description = document.getElementById("presetDescription");
+  if (description) {
+    const preset = state.scoringConfig?.presets?.[state.scoring.preset];
+    const edited = Object.keys(state.scoring.overrides).length;
+    description.textContent = `${preset?.description || "Default weights."}${
+      edited ? ` ${edited} weight${edited === 1 ? "" : "s"} adjusted in this browser.` : ""
+    }`;
+  }
+}
+
 function renderSources() {
   const sourceFilterOptions = state.sources
     .map((s) => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`)
@@ -213,15 +347,57 @@ function renderDigestMeta(digest) {
   const stats = digest?.stats || {};
   el.digestMeta.textContent = `${stats.newItems || 0} new, ${stats.updatedItems || 0} updated, ${
     stats.closingSoon || 0
-  } closing soon`;
+  } closing soon, ${stats.openingSoon || 0} opening soon`;
 
   if (digest?.subject) {
     el.digestLink.textContent = `View: ${digest.subject}`;
   }
 }
 
+const FACTOR_LABELS = {
+  baseline: "Baseline",
+  level: "Level",
+  careerStage: "Career stage",
+  nationality: "Nationality/status",
+  discipline: "Discipline",
+  eligibilityRules: "Eligibility rules",
+  status: "Status",
+  deadline: "Deadline"
+};
+
+function renderBreakdown(item) {
+  const rows = (item.matchBreakdown || [])
+    .map(
+      (entry) => `
+        <tr${entry.points === 0 ? ' class="neutral"' : ""}>
+          <th scope="row">${escapeHtml(FACTOR_LABELS[entry.factor] || entry.factor)}</th>
+          <td class="points">${entry.points > 0 ? "+" : ""}${entry.points}</td>
+          <td>${escapeHtml(entry.rationale)}</td>
+        </tr>
+      `
+    )
+    .join("");
+  const clamped = item.matchRawScore === item.matchScore ? "" : `Sum ${item.matchRawScore}, clamped to 0-100`;
+
+  return `
+    <details class="score-breakdown">
+      <summary>Why this score?</summary>
+      <table>
+        <tbody>${rows}</tbody>
+        <tfoot>
+          <tr>
+            <th scope="row">Total</th>
+            <td class="points">${item.matchScore}</td>
+            <td>${escapeHtml(clamped)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </details>
+  `;
+}
+
 function renderCards() {
-  const ranked = rankItems(state.items, state.filters, state.profile, Date.now());
+  const ranked = rankItems(state.items, state.filters, state.profile, Date.now(), activeWeights());
 
   if (ranked.length === 0) {
     el.cards.innerHTML =
@@ -238,10 +414,22 @@ function renderCards() {
   el.cards.innerHTML = ranked
     .slice(0, 180)
     .map((item) => {
-      const dl = daysLeft(item.deadline);
-      const deadlineText = item.deadline
-        ? `${formatDate(item.deadline)}${typeof dl === "number" ? ` (D${dl >= 0 ? `-${dl}` : `+${Math.abs(dl)}`})` : ""}`
+      const deadline = item.nextDeadline?.date || item.deadline;
+      const dl = item.daysLeftValue;
+      const cutoffTime = formatDeadlineTime(item.nextDeadline);
+      const stageLabel = item.nextDeadline && item.deadlines.length > 1 ? `, ${item.nextDeadline.label.toLowerCase()}` : "";
+      const deadlineText = deadline
+        ? `${formatDate(deadline)}${cutoffTime ? ` ${cutoffTime}` : ""}${
+            typeof dl === "number" ? ` (D${dl >= 0 ? `-${dl}` : `+${Math.abs(dl)}`})` : ""
+          }${stageLabel}`
         : "TBC";
+      const opensAt = item.status === "upcoming" && item.opensAt ? Date.parse(item.opensAt) : NaN;
+      const opens = Number.isNaN(opensAt) ? null : utcMsToZonedTime(opensAt);
+      const opensText = opens ? `${formatDate(opens.date)}${opens.time === "00:00" ? "" : ` ${opens.time} UK time`}` : "";
+      const stages = (item.deadlines || [])
+        .map((entry) => `${entry.label}${entry.date ? ` ${formatDate(entry.date)} ${formatDeadlineTime(entry)}`.trimEnd() : ""}`)
+        .map(escapeHtml)
+        .join(" · ");
       const fit = (item.summary?.fit || []).slice(0, 2).map(escapeHtml).join("; ");
       const warn = (item.summary?.watchOut || []).slice(0, 2).map(escapeHtml).join("; ");
       const urlCheckStatus = String(item?.urlCheck?.status || "");
@@ -255,6 +443,15 @@ function renderCards() {
           : urlCheckStatus
           ? `Unverified (${urlCheckStatus})`
           : "Unverified";
+      const changes = (item.recentChanges || [])
+        .map((entry) => `${entry.note} (${formatDate(String(entry.detectedAt).slice(0, 10))})`)
+        .map(escapeHtml)
+        .join("; ");
+      const alsoListedBy = [
+        ...new Set(
+          (item.listedBy || []).filter((entry) => entry.sourceId !== item.sourceId).map((entry) => entry.sourceName)
+        )
+      ];
       const tags = [
         ...(item.eligibility?.levels || []).slice(0, 2),
         ...(item.eligibility?.disciplines || []).slice(0, 2)
@@ -263,7 +460,7 @@ function renderCards() {
         .join("");
 
       return `
-        <article class="card">
+        <article class="card${item.ineligible ? " ineligible" : ""}">
           <div class="card-head">
             <h3>
               <a href="${escapeHtml(item.url)}" target="_blank" rel="noreferrer">${escapeHtml(item.title)}</a>
@@ -275,23 +472,38 @@ function renderCards() {
 
           <div class="meta-line">
             <span>${escapeHtml(item.sourceName)}</span>
+            ${alsoListedBy.length ? `<span>(also listed by ${escapeHtml(alsoListedBy.join(", "))})</span>` : ""}
             <span>·</span>
             <span>${escapeHtml(item.type)}</span>
             <span>·</span>
+            ${opensText ? `<span>Opens ${escapeHtml(opensText)}</span><span>·</span>` : ""}
             <span>Deadline ${escapeHtml(deadlineText)}</span>
             <span>·</span>
+            ${item.amount ? `<span>Award ${escapeHtml(item.amount)}</span><span>·</span>` : ""}
             <span>Link ${escapeHtml(linkHealth)}</span>
+            <span>·</span>
+            <a href="#item/${encodeURIComponent(item.id)}">Timeline</a>
           </div>
 
+          ${(item.deadlines || []).length > 1 ? `<p class="deadline-stages">${stages}</p>` : ""}
+
           <div class="match-pill">Fit Score ${item.matchScore}/100</div>
           <p class="summary">${escapeHtml(itemSummaryText(item) || "No summary")}</p>
 
           <div class="hints">
             <p><strong>Best for:</strong> ${fit || "Check official eligibility"}</p>
             <p><strong>Watch out:</strong> ${warn || "Verify requirements before applying"}</p>
+            ${
+              item.blockers?.length
+                ? `<p class="blockers"><strong>Not eligible:</strong> ${item.blockers.map(escapeHtml).join("; ")}</p>`
+                : ""
+            }
+            ${changes ? `<p class="changes"><strong>Changed:</strong> ${changes}</p>` : ""}
             <p><strong>Scoring notes:</strong> ${escapeHtml(item.matchReasons.join("; ") || "Baseline rules applied")}</p>
           </div>
 
+          ${renderBreakdown(item)}
+
           <div class="tags">${tags}</div>
         </article>
       `;
@@ -299,20 +511,109 @@ function renderCards() {
     .join("");
 }
 
+function routeItemId() {
+  const match = window.location.hash.match(/^#item\/(.+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Loaded on first use: the timeline index grows with every item ever seen.
+async function loadTimelines() {
+  if (state.timelines) return state.timelines;
+  try {
+    state.timelines = await fetchJson("./data/history/items.json");
+  } catch (error) {
+    console.warn(`Item timelines unavailable: ${error.message}`);
+    state.timelines = { items: {} };
+  }
+  return state.timelines;
+}
+
+function renderItemDetail(id) {
+  const item = state.items.find((entry) => entry.id === id);
+  const timeline = state.timelines?.items?.[id] || null;
+  const summary = timelineSummary(timeline);
+  const title = item?.title || timeline?.title;
+  const url = item?.url || timeline?.url;
+
+  if (!title) {
+    el.itemDetail.innerHTML = `
+      <a href="#" class="back-link">Back to results</a>
+      <div class="empty-state">This opportunity is not in the current data or its history.</div>
+    `;
+    return;
+  }
+
+  const facts = summary
+    ? [
+        `First seen ${summary.firstSeen}`,
+        summary.listed ? `last seen ${summary.lastSeen}` : `dropped off ${summary.droppedOn}`,
+        `${summary.trackedDays} day${summary.trackedDays === 1 ? "" : "s"} tracked`,
+        `${summary.changes} change${summary.changes === 1 ? "" : "s"}`
+      ].join(" · ")
+    : "No history recorded yet. The timeline starts with the next daily snapshot.";
+  const events = itemTimelineEvents(timeline)
+    .map(
+      (event) => `
+        <li class="timeline-${escapeHtml(event.type)}">
+          <time datetime="${escapeHtml(event.date)}">${escapeHtml(formatDate(event.date))}</time>
+          <span>${escapeHtml(event.note)}</span>
+        </li>
+      `
+    )
+    .join("");
+
+  el.itemDetail.innerHTML = `
+    <a href="#" class="back-link">Back to results</a>
+    <div class="card-head">
+      <h3><a href="${escapeHtml(url)}" target="_blank" rel="noreferrer">${escapeHtml(title)}</a></h3>
+      <span class="badge ${escapeHtml(item?.status || "closed")}">${escapeHtml(
+    item ? item.status.charAt(0).toUpperCase() + item.status.slice(1) : "No longer listed"
+  )}</span>
+    </div>
+    <div class="meta-line"><span>${escapeHtml(item?.sourceName || timeline?.sourceName || "")}</span></div>
+    <p class="mini-tip">${escapeHtml(facts)}</p>
+    ${events ? `<ol class="timeline">${events}</ol>` : ""}
+  `;
+}
+
+// "#item/<id>" shows one opportunity's lifecycle in place of the result list.
+async function renderRoute() {
+  const id = routeItemId();
+  el.itemDetail.hidden = !id;
+  el.cards.hidden = Boolean(id);
+  if (!id) return;
+
+  el.itemDetail.innerHTML = '<div class="empty-state">Loading timeline...</div>';
+  el.itemDetail.scrollIntoView({ block: "start" });
+  await loadTimelines();
+  if (routeItemId() === id) renderItemDetail(id);
+}
+
 function bindInputs() {
   const nodes = {
     keyword: document.getElementById("keyword"),
     typeFilter: document.getElementById("typeFilter"),
     statusFilter: document.getElementById("statusFilter"),
     sourceFilter: document.getElementById("sourceFilter"),
+    budgetMin: document.getElementById("budgetMin"),
+    budgetMax: document.getElementById("budgetMax"),
     sortBy: document.getElementById("sortBy"),
     minMatch: document.getElementById("minMatch"),
     openOnly: document.getElementById("openOnly"),
     closingSoonOnly: document.getElementById("closingSoonOnly"),
+    hideIneligible: document.getElementById("hideIneligible"),
     profileLevel: document.getElementById("profileLevel"),
     profileCareer: document.getElementById("profileCareer"),
     profileNationality: document.getElementById("profileNationality"),
     profileDiscipline: document.getElementById("profileDiscipline"),
+    profileHost: document.getElementById("profileHost"),
+    profileContract: document.getElementById("profileContract"),
+    profileYearsSincePhd: document.getElementById("profileYearsSincePhd"),
+    profileUkResident: document.getElementById("profileUkResident"),
+    profileIndustryPartner: document.getElementById("profileIndustryPartner"),
+    scoringPreset: document.getElementById("scoringPreset"),
+    weightInputs: document.getElementById("weightInputs"),
+    resetWeights: document.getElementById("resetWeights"),
     clearFilters: document.getElementById("clearFilters")
   };
 
@@ -321,15 +622,28 @@ function bindInputs() {
     state.filters.type = nodes.typeFilter.value;
     state.filters.status = nodes.statusFilter.value;
     state.filters.source = nodes.sourceFilter.value;
+    state.filters.budgetMin = nodes.budgetMin.value.trim();
+    state.filters.budgetMax = nodes.budgetMax.value.trim();
     state.filters.sortBy = nodes.sortBy.value;
     state.filters.minMatch = Number(nodes.minMatch.value) || 0;
     state.filters.openOnly = Boolean(nodes.openOnly.checked);
     state.filters.closingSoonOnly = Boolean(nodes.closingSoonOnly.checked);
+    state.filters.hideIneligible = Boolean(nodes.hideIneligible.checked);
 
     state.profile.level = nodes.profileLevel.value;
     state.profile.careerStage = nodes.profileCareer.value;
     state.profile.nationality = nodes.profileNationality.value;
     state.profile.discipline = nodes.profileDiscipline.value;
+    state.profile.hostType = nodes.profileHost.value;
+    state.profile.contract = nodes.profileContract.value;
+    state.profile.yearsSincePhd = nodes.profileYearsSincePhd.value.trim();
+    state.profile.ukResident = nodes.profileUkResident.value;
+    state.profile.industryPartner = nodes.profileIndustryPartner.value;
+
+    if (nodes.scoringPreset.value !== state.scoring.preset) {
+      state.scoring = { preset: nodes.scoringPreset.value, overrides: {} };
+      renderWeightInputs();
+    }
 
     if (el.minMatchValue) el.minMatchValue.textContent = String(state.filters.minMatch);
 
@@ -342,14 +656,23 @@ function bindInputs() {
     nodes.typeFilter,
     nodes.statusFilter,
     nodes.sourceFilter,
+    nodes.budgetMin,
+    nodes.budgetMax,
     nodes.sortBy,
     nodes.minMatch,
     nodes.openOnly,
     nodes.closingSoonOnly,
+    nodes.hideIneligible,
     nodes.profileLevel,
     nodes.profileCareer,
     nodes.profileNationality,
-    nodes.profileDiscipline
+    nodes.profileDiscipline,
+    nodes.profileHost,
+    nodes.profileContract,
+    nodes.profileYearsSincePhd,
+    nodes.profileUkResident,
+    nodes.profileIndustryPartner,
+    nodes.scoringPreset
   ];
 
   listenTargets.forEach((node) => {
@@ -357,22 +680,55 @@ function bindInputs() {
     node.addEventListener("change", syncStateFromInputs);
   });
 
+  // Overrides are kept only where they differ from the preset, so switching presets stays meaningful.
+  nodes.weightInputs.addEventListener("change", (event) => {
+    const key = event.target?.dataset?.weight;
+    if (!key) return;
+    const presetValue = resolveWeights(state.scoringConfig, state.scoring.preset)[key];
+    const value = Number(event.target.value);
+    const overrides = { ...state.scoring.overrides };
+    if (event.target.value.trim() === "" || !Number.isFinite(value) || value === presetValue) {
+      delete overrides[key];
+    } else {
+      overrides[key] = value;
+    }
+    state.scoring.overrides = overrides;
+    renderWeightInputs();
+    persistState();
+    renderCards();
+  });
+
+  nodes.resetWeights.addEventListener("click", () => {
+    state.scoring.overrides = {};
+    renderWeightInputs();
+    persistState();
+    renderCards();
+  });
+
   nodes.clearFilters.addEventListener("click", () => {
     state.filters = {
       keyword: "",
       type: "",
       status: "",
       source: "",
+      budgetMin: "",
+      budgetMax: "",
       sortBy: "match_desc",
       minMatch: 0,
       openOnly: false,
-      closingSoonOnly: false
+      closingSoonOnly: false,
+      hideIneligible: false
     };
     state.profile = {
       level: "",
       careerStage: "",
       nationality: "",
-      discipline: ""
+      discipline: "",
+      hostType: "",
+      contract: "",
+      yearsSincePhd: "",
+      ukResident: "",
+      industryPartner: ""
     };
     applyStateToInputs();
     persistState();
@@ -380,6 +736,15 @@ function bindInputs() {
   });
 }
 
+async function loadScoringConfig() {
+  try {
+    state.scoringConfig = await fetchJson("./data/scoring-weights.json");
+  } catch (error) {
+    console.warn(`Scoring presets unavailable, using built-in weights: ${error.message}`);
+    state.scoringConfig = null;
+  }
+}
+
 async function setupSubscription() {
   try {
     const config = await fetchJson("./data/site-config.json");
@@ -404,9 +769,12 @@ async function init() {
     state.raw = data;
     state.items = Array.isArray(data.items) ? data.items : [];
     state.sources = Array.isArray(data.sources) ? data.sources : [];
+    await loadScoringConfig();
 
     renderStats(data.stats || {});
     renderSources();
+    renderDisciplineOptions();
+    renderPresetOptions();
     applyStateToInputs();
     renderDigestMeta(data.digest || {});
 
@@ -422,6 +790,8 @@ async function init() {
     bindInputs();
     persistState();
     renderCards();
+    window.addEventListener("hashchange", renderRoute);
+    await renderRoute();
     await setupSubscription();
   } catch (error) {
     console.error(error);
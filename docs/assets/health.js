@@ -0,0 +1,123 @@
+import { buildSourceRows, sparklinePoints } from "./source-status.js";
+
+const STATUS_ORDER = { failing: 0, empty: 1, degraded: 2, ok: 3 };
+
+const el = {
+  stats: document.getElementById("healthStats"),
+  lastUpdated: document.getElementById("lastUpdated"),
+  meta: document.getElementById("healthMeta"),
+  rows: document.getElementById("healthRows")
+};
+
+function escapeHtml(str) {
+  return String(str || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+async function fetchJson(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
+  return res.json();
+}
+
+// Optional artifacts: older deployments may not have them yet.
+async function fetchOptionalJson(url) {
+  try {
+    return await fetchJson(url);
+  } catch {
+    return null;
+  }
+}
+
+function renderStats(rows) {
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  const cards = [
+    { label: "Sources", value: rows.length },
+    { label: "OK", value: count("ok") },
+    { label: "Degraded", value: count("degraded") },
+    { label: "Empty", value: count("empty") },
+    { label: "Failing", value: count("failing") }
+  ];
+
+  el.stats.innerHTML = cards
+    .map(
+      (card) => `
+        <div class="stat-card">
+          <b>${card.value}</b>
+          <span>${card.label}</span>
+        </div>
+      `
+    )
+    .join("");
+}
+
+function renderTrend(trend) {
+  if (trend.length < 2) return '<span class="mini-tip">Not enough history</span>';
+  const values = trend.map((point) => point.items);
+  const title = trend.map((point) => `${point.date}: ${point.items}`).join("\n");
+  return `
+    <svg class="sparkline" viewBox="0 0 120 28" width="120" height="28" role="img" aria-label="${escapeHtml(title)}">
+      <title>${escapeHtml(title)}</title>
+      <polyline points="${sparklinePoints(values)}" />
+    </svg>
+  `;
+}
+
+function renderRow(row) {
+  const change =
+    row.previousItemCount === null
+      ? ""
+      : ` <span class="mini-tip">(was ${row.previousItemCount})</span>`;
+  const passRate = row.urlPassRate === null ? "—" : `${row.urlPassRate}% <span class="mini-tip">of ${row.urlChecked}</span>`;
+  const errors = row.errors.length
+    ? `<ul class="error-list">${row.errors
+        .map((error) => `<li title="${escapeHtml(error.url)}">${escapeHtml(error.message)}</li>`)
+        .join("")}</ul>`
+    : '<span class="mini-tip">None</span>';
+
+  return `
+    <tr>
+      <td><a href="${escapeHtml(row.homepage)}" target="_blank" rel="noreferrer">${escapeHtml(row.name)}</a></td>
+      <td><span class="badge health-${escapeHtml(row.status)}">${escapeHtml(row.status)}</span></td>
+      <td>${row.itemCount}${change}</td>
+      <td>${renderTrend(row.trend)}</td>
+      <td>${escapeHtml(row.lastSuccessfulCrawl || "Never")}</td>
+      <td>${passRate}</td>
+      <td>${errors}</td>
+    </tr>
+  `;
+}
+
+async function init() {
+  try {
+    const [dataset, historyIndex, healthReport] = await Promise.all([
+      fetchJson("./data/funding.latest.json"),
+      fetchOptionalJson("./data/history/index.json"),
+      fetchOptionalJson("./data/source-health.json")
+    ]);
+
+    const rows = buildSourceRows({ dataset, historyIndex, healthReport }).sort(
+      (a, b) => (STATUS_ORDER[a.status] ?? 9) - (STATUS_ORDER[b.status] ?? 9) || a.name.localeCompare(b.name)
+    );
+
+    renderStats(rows);
+    el.rows.innerHTML = rows.map(renderRow).join("");
+    el.meta.textContent = `${rows.length} sources, ${historyIndex?.snapshots?.length || 0} snapshots`;
+    el.lastUpdated.textContent = dataset.generatedAt
+      ? `Last crawl: ${new Date(dataset.generatedAt).toISOString().slice(0, 19).replace("T", " ")} UTC`
+      : "Last crawl time unknown";
+  } catch (error) {
+    console.error(error);
+    el.rows.innerHTML = `<tr><td colspan="7"><div class="empty-state">Data load failed: ${escapeHtml(
+      error.message
+    )}</div></td></tr>`;
+    el.meta.textContent = "Data load failed";
+    el.lastUpdated.textContent = "Run the data update script to generate docs/data files first.";
+  }
+}
+
+init();
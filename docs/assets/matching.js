@@ -1,3 +1,5 @@
+import { disciplineRelation, findDisciplines } from "./taxonomy.js";
+
 export function normalizeInput(text) {
   return String(text || "")
     .toLowerCase()
@@ -18,89 +20,444 @@ export function formatDate(iso) {
   return d.toISOString().slice(0, 10);
 }
 
-export function daysLeft(iso, nowMs = Date.now()) {
+export const DEFAULT_DEADLINE_TIMEZONE = "Europe/London";
+const DAY_MS = 24 * 3600 * 1000;
+const END_OF_DAY = "23:59:59";
+
+function wallClockParts(timeZone, utcMs) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(new Date(utcMs));
+  const get = (type) => parts.find((part) => part.type === type)?.value;
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    time: `${get("hour")}:${get("minute")}:${get("second")}`
+  };
+}
+
+function timeZoneOffsetMs(timeZone, utcMs) {
+  const { date, time } = wallClockParts(timeZone, utcMs);
+  return Date.parse(`${date}T${time}Z`) - Math.floor(utcMs / 1000) * 1000;
+}
+
+// UTC instant of a wall-clock date/time in an IANA timezone (DST-aware).
+export function zonedTimeToUtcMs(date, time = END_OF_DAY, timeZone = DEFAULT_DEADLINE_TIMEZONE) {
+  const naive = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+  if (Number.isNaN(naive)) return NaN;
+
+  let zone = timeZone;
+  try {
+    wallClockParts(zone, naive);
+  } catch {
+    zone = DEFAULT_DEADLINE_TIMEZONE;
+  }
+
+  const guess = naive - timeZoneOffsetMs(zone, naive);
+  return naive - timeZoneOffsetMs(zone, guess);
+}
+
+// Wall-clock date and HH:MM of a UTC instant in an IANA timezone.
+export function utcMsToZonedTime(utcMs, timeZone = DEFAULT_DEADLINE_TIMEZONE) {
+  const { date, time } = wallClockParts(timeZone, utcMs);
+  return { date, time: time.slice(0, 5) };
+}
+
+// Cut-off instant of a deadline date. Without a time the call closes at the end of the day;
+// without a timezone it is read as UK time.
+export function deadlineCutoffMs(iso, { time = null, timezone = null } = {}) {
+  if (!iso) return NaN;
+  return zonedTimeToUtcMs(iso, time || END_OF_DAY, timezone || DEFAULT_DEADLINE_TIMEZONE);
+}
+
+// Instant a call opens. Without a time it opens at the start of the day, UK time unless stated.
+export function openingMs(iso, { time = null, timezone = null } = {}) {
+  if (!iso) return NaN;
+  return zonedTimeToUtcMs(iso, time || "00:00", timezone || DEFAULT_DEADLINE_TIMEZONE);
+}
+
+function daysUntilCutoff(cutoffMs, nowMs) {
+  if (Number.isNaN(cutoffMs)) return null;
+  const diff = cutoffMs - nowMs;
+  // Once the cut-off has passed the count is negative even within the same day.
+  return diff >= 0 ? Math.ceil(diff / DAY_MS) : Math.floor(diff / DAY_MS);
+}
+
+export function daysLeft(iso, nowMs = Date.now(), cutoff = {}) {
   if (!iso) return null;
-  const diff = Date.parse(`${iso}T23:59:59Z`) - nowMs;
-  if (Number.isNaN(diff)) return null;
-  return Math.ceil(diff / (24 * 3600 * 1000));
+  return daysUntilCutoff(deadlineCutoffMs(iso, cutoff), nowMs);
+}
+
+// Earliest deadline stage that has not passed yet; once every stage has passed, the last one.
+export function nextDeadline(deadlines, nowMs = Date.now()) {
+  const dated = (Array.isArray(deadlines) ? deadlines : [])
+    .map((entry) => ({ entry, cutoff: entry?.date ? deadlineCutoffMs(entry.date, entry) : NaN }))
+    .filter(({ cutoff }) => !Number.isNaN(cutoff))
+    .sort((a, b) => a.cutoff - b.cutoff);
+  if (dated.length === 0) return null;
+  return (dated.find(({ cutoff }) => cutoff >= nowMs) || dated[dated.length - 1]).entry;
+}
+
+// Cut-off of the item's next deadline stage, falling back to the crawled `deadlineAt`/`deadline`.
+export function itemDeadlineCutoffMs(item, nowMs = Date.now()) {
+  const next = nextDeadline(item?.deadlines, nowMs);
+  if (next) return deadlineCutoffMs(next.date, next);
+  if (item?.deadlineAt) return Date.parse(item.deadlineAt);
+  return deadlineCutoffMs(item?.deadline);
+}
+
+export function itemDaysLeft(item, nowMs = Date.now()) {
+  return daysUntilCutoff(itemDeadlineCutoffMs(item, nowMs), nowMs);
+}
+
+// The dataset is refreshed daily, so status is re-read against the clock: an upcoming call whose
+// `opensAt` has passed is open, and an open call whose cut-off has passed is closed.
+export function itemStatus(item, nowMs = Date.now()) {
+  let status = item?.status || "unknown";
+  if (status === "upcoming") {
+    const opens = Date.parse(item.opensAt || "");
+    if (Number.isNaN(opens) || opens > nowMs) return status;
+    status = "open";
+  }
+  if (status !== "open") return status;
+  const left = itemDaysLeft(item, nowMs);
+  return typeof left === "number" && left < 0 ? "closed" : status;
+}
+
+export function formatDeadlineTime(entry) {
+  if (!entry?.time) return "";
+  const zone = entry.timezone || DEFAULT_DEADLINE_TIMEZONE;
+  const label = zone === "Europe/London" ? "UK time" : zone === "Europe/Brussels" ? "Brussels time" : zone;
+  return `${entry.time} ${label}`;
+}
+
+const CURRENCY_CODES = { "£": "GBP", "€": "EUR", $: "USD", gbp: "GBP", eur: "EUR", usd: "USD" };
+const MONEY_PATTERN =
+  /(£|€|\$|\b(?:GBP|EUR|USD)\s?)(\d[\d,]*(?:\.\d+)?)\s?(thousand|million|billion|bn|k|m)?\b/gi;
+const RANGE_TAIL_PATTERN =
+  /^\s*(?:-|–|—|to|and)\s*(£|€|\$|(?:GBP|EUR|USD)\s?)?(\d[\d,]*(?:\.\d+)?)\s?(thousand|million|billion|bn|k|m)?\b/i;
+const PERIOD_PATTERNS = [
+  { period: "year", pattern: /^\s*(?:per (?:year|annum)|a year|p\.?a\.?(?=\W|$)|annually)/i },
+  { period: "month", pattern: /^\s*(?:per month|a month|monthly)/i },
+  { period: "total", pattern: /^\s*(?:in total|total|overall)/i }
+];
+const MULTIPLIERS = { thousand: 1e3, k: 1e3, million: 1e6, m: 1e6, billion: 1e9, bn: 1e9 };
+
+function moneyValue(number, unit) {
+  const value = Number(String(number).replace(/,/g, ""));
+  return Number.isFinite(value) ? value * (MULTIPLIERS[String(unit || "").toLowerCase()] || 1) : NaN;
+}
+
+// "80% fEC", "funded at 80% of the full economic cost" -> 80.
+export function parseFecPercent(text) {
+  const normalized = String(text || "");
+  const match =
+    normalized.match(/(\d{2,3})\s?%\s*(?:of\s+)?(?:the\s+)?(?:full economic costs?|f?ec)\b/i) ||
+    normalized.match(/\b(?:full economic costs?|f?ec)\b[^.%\d]{0,30}(\d{2,3})\s?%/i);
+  const percent = match ? Number(match[1]) : NaN;
+  return percent > 0 && percent <= 100 ? percent : null;
+}
+
+// Structured form of the first money amount in the text: "up to £250k per year", "€1m-€2.5m",
+// "between £50,000 and £500,000". `min`/`max` are null when the text only gives an upper/lower bound;
+// `raw` is the amount as written, period included. `context` is text written just before `text`
+// ("Awards of up to") for when the amount string was cut out of a page.
+export function parseAmount(text, { context = "" } = {}) {
+  const normalized = String(text || "").replace(/\s+/g, " ");
+  MONEY_PATTERN.lastIndex = 0;
+  const match = MONEY_PATTERN.exec(normalized);
+  if (!match) return null;
+
+  const currency = CURRENCY_CODES[match[1].trim().toLowerCase()];
+  const first = moneyValue(match[2], match[3]);
+  if (Number.isNaN(first)) return null;
+
+  let end = match.index + match[0].length;
+  let min = first;
+  let max = first;
+  const tail = normalized.slice(end).match(RANGE_TAIL_PATTERN);
+  const tailCurrency = tail?.[1] ? CURRENCY_CODES[tail[1].trim().toLowerCase()] : null;
+  // A bare second number ("£50,000 - 500,000") only counts after a dash or "to"; "and" needs a currency.
+  if (tail && (tailCurrency ? tailCurrency === currency : !/and/i.test(tail[0]))) {
+    // "£3-5 million": a unit written once applies to both ends.
+    const sharedUnit = !match[3] && !tailCurrency && tail[3] && first < 1000;
+    const low = sharedUnit ? moneyValue(match[2], tail[3]) : first;
+    const high = moneyValue(tail[2], tail[3] || match[3]);
+    if (high > low) {
+      min = low;
+      max = high;
+      end += tail[0].length;
+    }
+  }
+
+  let period = null;
+  const after = normalized.slice(end);
+  const periodMatch = PERIOD_PATTERNS.map((entry) => ({ ...entry, hit: after.match(entry.pattern) })).find(
+    (entry) => entry.hit
+  );
+  if (periodMatch) {
+    period = periodMatch.period;
+    end += periodMatch.hit[0].length;
+  }
+
+  const before = `${String(context).replace(/\s+/g, " ")} ${normalized.slice(0, match.index)}`.slice(-30).toLowerCase();
+  if (min === max) {
+    if (/(?:up to|maximum(?: of)?|max\.?|no more than|not exceed(?:ing)?|capped at|limit of)\s*$/.test(before)) min = null;
+    else if (/(?:at least|minimum(?: of)?|min\.?|from|over|more than|in excess of)\s*$/.test(before)) max = null;
+  }
+
+  return {
+    min,
+    max,
+    currency,
+    period,
+    fecPercent: parseFecPercent(normalized),
+    raw: normalized.slice(match.index, end).trim()
+  };
+}
+
+// The item's structured amount, parsed from the `amount` string for datasets written before `amountDetails`.
+export function itemAmount(item) {
+  return item?.amountDetails || parseAmount(item?.amount);
+}
+
+// Fixed, approximate conversion so € and $ amounts can be compared with £ budgets; not for display.
+const GBP_RATES = { GBP: 1, EUR: 0.85, USD: 0.78 };
+
+// The item's amount bounds in GBP ({ min, max }, either may be null), or null when it has no amount.
+export function itemAmountGbp(item) {
+  const amount = itemAmount(item);
+  const rate = GBP_RATES[amount?.currency];
+  if (!amount || !rate || (amount.min === null && amount.max === null)) return null;
+  const convert = (value) => (typeof value === "number" ? Math.round(value * rate) : null);
+  return { min: convert(amount.min), max: convert(amount.max) };
+}
+
+// Budget filter input: a number of pounds, or shorthand such as "50k" / "1.5m". Empty or invalid -> null.
+export function parseBudget(value) {
+  if (typeof value === "number") return Number.isFinite(value) && value > 0 ? value : null;
+  const text = String(value || "").trim().replace(/^£/, "");
+  if (!text) return null;
+  const parsed = parseAmount(`£${text}`);
+  return parsed?.max > 0 ? parsed.max : null;
+}
+
+const HOST_LABELS = {
+  uk_hei: "a UK university",
+  uk_research_org: "a UK research organisation",
+  uk_business: "a UK business"
+};
+
+// Eligibility rules the call states that the profile cannot meet. Only checked when both sides are known.
+export function eligibilityDisqualifiers(item, profile) {
+  const eligibility = item?.eligibility || {};
+  const out = [];
+
+  const hosts = eligibility.hostInstitutions || [];
+  if (profile.hostType && hosts.length > 0 && !hosts.includes(profile.hostType)) {
+    out.push(`Host must be ${hosts.map((host) => HOST_LABELS[host] || host).join(" or ")}`);
+  }
+
+  if (eligibility.contractRequirement === "permanent" && ["fixed_term", "none"].includes(profile.contract)) {
+    out.push("Requires a permanent contract");
+  } else if (eligibility.contractRequirement === "covers_award" && profile.contract === "none") {
+    out.push("Requires a contract covering the award period");
+  }
+
+  const years = profile.yearsSincePhd === "" || profile.yearsSincePhd == null ? NaN : Number(profile.yearsSincePhd);
+  const phdWindow = eligibility.yearsSincePhd;
+  if (phdWindow && !Number.isNaN(years)) {
+    if (typeof phdWindow.max === "number" && years > phdWindow.max) out.push(`More than ${phdWindow.max} years since PhD`);
+    if (typeof phdWindow.min === "number" && years < phdWindow.min) out.push(`Needs at least ${phdWindow.min} years since PhD`);
+  }
+
+  if (eligibility.residency === "uk" && profile.ukResident === "no") out.push("Requires UK residency or right to work");
+  if (eligibility.industryPartnerRequired && profile.industryPartner === "no") out.push("Requires an industry partner");
+
+  return out;
+}
+
+// Whether the item is open to the profile's nationality/status. No tags, "any" and "international" open a call
+// to everyone; a profile without a nationality is never ruled out.
+export function nationalityOpenTo(item, profile) {
+  const nationalities = item?.eligibility?.nationalities || [];
+  return (
+    !profile?.nationality ||
+    nationalities.length === 0 ||
+    nationalities.some((entry) => entry === "any" || entry === "international" || entry === profile.nationality)
+  );
 }
 
-export function scoreItem(item, profile, nowMs = Date.now()) {
-  let score = 45;
+// Hard blockers rule the applicant out whatever the score: an excluded level or nationality, a passed
+// deadline, or an eligibility rule the profile cannot meet. Career stage and discipline stay soft preferences
+// that only move the score.
+export function itemBlockers(item, profile, nowMs = Date.now()) {
+  const levels = item?.eligibility?.levels || [];
+  const nationalities = item?.eligibility?.nationalities || [];
+  const blockers = [];
+
+  if (profile.level && levels.length > 0 && !levels.includes(profile.level)) {
+    blockers.push(`Level excluded: open to ${levels.join("/")}`);
+  }
+  if (!nationalityOpenTo(item, profile)) {
+    blockers.push(`Nationality excluded: open to ${nationalities.join("/")}`);
+  }
+
+  const left = itemDaysLeft(item, nowMs);
+  if (typeof left === "number" && left < 0) blockers.push("Deadline has passed");
+
+  return [...blockers, ...eligibilityDisqualifiers(item, profile)];
+}
+
+// Points per scoring factor. Penalties are negative. docs/data/scoring-weights.json holds named presets that
+// override any of these; unknown keys are ignored.
+export const DEFAULT_WEIGHTS = {
+  baseline: 45,
+  levelMatch: 22,
+  levelMismatch: -24,
+  stageMatch: 14,
+  stageMismatch: -12,
+  nationalityMatch: 14,
+  nationalityMismatch: -18,
+  disciplineExact: 22,
+  disciplineParent: 12,
+  disciplineBroad: 9,
+  disciplineKeyword: 9,
+  disciplineKeywordPerToken: 5,
+  disciplineMismatch: -14,
+  eligibilityRuleUnmet: -30,
+  statusOpen: 6,
+  statusClosed: -24,
+  deadlinePassed: -20
+};
+
+// Weights for a preset from the scoring config, with per-user overrides on top. Falls back to the config's
+// default preset, then to DEFAULT_WEIGHTS; non-numeric values are skipped.
+export function resolveWeights(config, presetId = "", overrides = {}) {
+  const presets = config?.presets || {};
+  const id = presets[presetId] ? presetId : config?.defaultPreset;
+  const weights = { ...DEFAULT_WEIGHTS };
+  for (const source of [presets[id]?.weights, overrides]) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (!(key in DEFAULT_WEIGHTS) || value === "" || value === null) continue;
+      const number = Number(value);
+      if (Number.isFinite(number)) weights[key] = number;
+    }
+  }
+  return weights;
+}
+
+// Every factor is listed in the breakdown, with 0 points when it does not apply, so the panel on each card
+// adds up to the score (before clamping to 0-100). `reasons` keeps the short top-three notes.
+export function scoreItem(item, profile, nowMs = Date.now(), weights = DEFAULT_WEIGHTS) {
+  const w = { ...DEFAULT_WEIGHTS, ...weights };
+  const breakdown = [];
   const reasons = [];
+  const add = (factor, points, rationale, { reason = false } = {}) => {
+    breakdown.push({ factor, points, rationale });
+    if (reason) reasons.push(rationale);
+  };
 
   const levels = item?.eligibility?.levels || [];
   const stages = item?.eligibility?.careerStages || [];
   const nationalities = item?.eligibility?.nationalities || [];
   const disciplines = item?.eligibility?.disciplines || [];
 
-  if (profile.level) {
-    if (levels.length === 0 || levels.includes(profile.level)) {
-      score += 22;
-      reasons.push(`Level match: ${profile.level}`);
-    } else {
-      score -= 24;
-      reasons.push(`Possible level mismatch: target ${levels.join("/")}`);
-    }
+  add("baseline", w.baseline, "Starting score for every item");
+
+  if (!profile.level) {
+    add("level", 0, "No level in your profile");
+  } else if (levels.length === 0 || levels.includes(profile.level)) {
+    add("level", w.levelMatch, `Level match: ${profile.level}`, { reason: true });
+  } else {
+    add("level", w.levelMismatch, `Possible level mismatch: target ${levels.join("/")}`, { reason: true });
   }
 
-  if (profile.careerStage) {
-    if (stages.length === 0 || stages.includes(profile.careerStage)) {
-      score += 14;
-      reasons.push(`Career stage match: ${profile.careerStage}`);
-    } else {
-      score -= 12;
-      reasons.push(`Career stage mismatch: target ${stages.join("/")}`);
-    }
+  if (!profile.careerStage) {
+    add("careerStage", 0, "No career stage in your profile");
+  } else if (stages.length === 0 || stages.includes(profile.careerStage)) {
+    add("careerStage", w.stageMatch, `Career stage match: ${profile.careerStage}`, { reason: true });
+  } else {
+    add("careerStage", w.stageMismatch, `Career stage mismatch: target ${stages.join("/")}`, { reason: true });
   }
 
-  if (profile.nationality) {
-    if (nationalities.includes("any") || nationalities.length === 0 || nationalities.includes(profile.nationality)) {
-      score += 14;
-      reasons.push(`Nationality/status compatible: ${profile.nationality}`);
-    } else {
-      score -= 18;
-      reasons.push(`Nationality restrictions: ${nationalities.join("/")}`);
-    }
+  if (!profile.nationality) {
+    add("nationality", 0, "No nationality/status in your profile");
+  } else if (nationalityOpenTo(item, profile)) {
+    add("nationality", w.nationalityMatch, `Nationality/status compatible: ${profile.nationality}`, { reason: true });
+  } else {
+    add("nationality", w.nationalityMismatch, `Nationality restrictions: ${nationalities.join("/")}`, { reason: true });
   }
 
-  if (profile.discipline) {
+  if (!profile.discipline) {
+    add("discipline", 0, "No discipline in your profile");
+  } else {
+    const profileDisciplines = findDisciplines(profile.discipline, { withAncestors: false });
+    const { relation, discipline } = disciplineRelation(profileDisciplines, disciplines);
     const userTokens = tokenize(profile.discipline);
     const targetTokens = tokenize(disciplines.join(" "));
     const intersects = userTokens.filter((token) =>
       targetTokens.some((target) => target.includes(token) || token.includes(target))
     );
 
-    if (intersects.length > 0 || disciplines.includes("all disciplines")) {
-      score += Math.min(22, 9 + intersects.length * 5);
-      reasons.push(
-        disciplines.includes("all disciplines")
-          ? "Broad discipline coverage"
-          : `Discipline keyword match: ${intersects.slice(0, 3).join("/")}`
+    if (relation === "exact") {
+      add("discipline", w.disciplineExact, `Discipline match: ${discipline}`, { reason: true });
+    } else if (relation === "parent") {
+      // Partial credit: the call covers the broader area the user's subject belongs to.
+      add("discipline", w.disciplineParent, `Broader area match: ${discipline}`, { reason: true });
+    } else if (relation === "broad") {
+      add("discipline", w.disciplineBroad, "Broad discipline coverage", { reason: true });
+    } else if (profileDisciplines.length === 0 && intersects.length > 0) {
+      // Free text outside the taxonomy falls back to keyword overlap.
+      add(
+        "discipline",
+        Math.min(w.disciplineExact, w.disciplineKeyword + intersects.length * w.disciplineKeywordPerToken),
+        `Discipline keyword match: ${intersects.slice(0, 3).join("/")}`,
+        { reason: true }
       );
     } else {
-      reasons.push(`Discipline unclear/mismatch: ${disciplines.slice(0, 2).join("/") || "TBC"}`);
-      score -= 14;
+      add("discipline", w.disciplineMismatch, `Discipline unclear/mismatch: ${disciplines.slice(0, 2).join("/") || "TBC"}`, {
+        reason: true
+      });
     }
   }
 
-  if (item.status === "open") score += 6;
-  if (item.status === "closed") score -= 24;
+  const disqualifiers = eligibilityDisqualifiers(item, profile);
+  if (disqualifiers.length > 0) {
+    add("eligibilityRules", w.eligibilityRuleUnmet, `Eligibility rule not met: ${disqualifiers.join("; ")}`);
+  } else {
+    add("eligibilityRules", 0, "No stated eligibility rule excludes you");
+  }
 
-  const left = daysLeft(item.deadline, nowMs);
-  if (typeof left === "number") {
-    if (left < 0) {
-      score -= 20;
-      reasons.push("Deadline has passed");
-    } else if (left <= 7) {
-      reasons.push(`Deadline is close: D-${left}`);
-    }
+  if (item.status === "open") add("status", w.statusOpen, "Open for applications");
+  else if (item.status === "closed") add("status", w.statusClosed, "Closed to applications");
+  else add("status", 0, `Status ${item.status || "unknown"}: no adjustment`);
+
+  const left = itemDaysLeft(item, nowMs);
+  if (typeof left === "number" && left < 0) {
+    add("deadline", w.deadlinePassed, "Deadline has passed");
+  } else {
+    add("deadline", 0, typeof left === "number" ? `Deadline in ${left} day${left === 1 ? "" : "s"}` : "No deadline known");
+    if (typeof left === "number" && left <= 7) reasons.push(`Deadline is close: D-${left}`);
   }
 
-  score = Math.max(0, Math.min(100, score));
+  const blockers = itemBlockers(item, profile, nowMs);
+  if (blockers.length > 0) reasons.unshift(`Not eligible: ${blockers[0]}`);
+
+  const rawScore = breakdown.reduce((sum, entry) => sum + entry.points, 0);
   return {
-    score,
-    reasons: reasons.slice(0, 3)
+    score: Math.max(0, Math.min(100, rawScore)),
+    rawScore,
+    breakdown,
+    reasons: reasons.slice(0, 3),
+    blockers,
+    ineligible: blockers.length > 0
   };
 }
 
@@ -118,6 +475,16 @@ export function matchesFilters(item, filters) {
   if (status && item.status !== status) return false;
   if (source && item.sourceId !== source) return false;
 
+  const budgetMin = parseBudget(filters.budgetMin);
+  const budgetMax = parseBudget(filters.budgetMax);
+  if (budgetMin !== null || budgetMax !== null) {
+    // Keep items whose amount range overlaps the budget; items without an amount cannot be placed.
+    const range = itemAmountGbp(item);
+    if (!range) return false;
+    if (budgetMin !== null && (range.max ?? Number.POSITIVE_INFINITY) < budgetMin) return false;
+    if (budgetMax !== null && (range.min ?? 0) > budgetMax) return false;
+  }
+
   if (keyword) {
     const merged = [item.title, item.description, itemSummaryText(item), ...(item.eligibility?.disciplines || [])]
       .join(" ")
@@ -128,18 +495,28 @@ export function matchesFilters(item, filters) {
   return true;
 }
 
-function dateValueForSort(item, fallback = Number.POSITIVE_INFINITY) {
-  if (!item.deadline) return fallback;
-  const value = Date.parse(`${item.deadline}T00:00:00Z`);
+function dateValueForSort(item, fallback = Number.POSITIVE_INFINITY, nowMs = Date.now()) {
+  const value = itemDeadlineCutoffMs(item, nowMs);
   return Number.isNaN(value) ? fallback : value;
 }
 
-export function compareBySort(a, b, sortBy = "match_desc") {
+function amountValueForSort(item, fallback) {
+  const range = itemAmountGbp(item);
+  return range ? range.max ?? range.min : fallback;
+}
+
+export function compareBySort(a, b, sortBy = "match_desc", nowMs = Date.now()) {
   switch (sortBy) {
+    case "amount_desc":
+      return amountValueForSort(b, Number.NEGATIVE_INFINITY) - amountValueForSort(a, Number.NEGATIVE_INFINITY);
+    case "amount_asc":
+      return amountValueForSort(a, Number.POSITIVE_INFINITY) - amountValueForSort(b, Number.POSITIVE_INFINITY);
     case "deadline_asc":
-      return dateValueForSort(a) - dateValueForSort(b);
+      return dateValueForSort(a, Number.POSITIVE_INFINITY, nowMs) - dateValueForSort(b, Number.POSITIVE_INFINITY, nowMs);
     case "deadline_desc":
-      return dateValueForSort(b, Number.NEGATIVE_INFINITY) - dateValueForSort(a, Number.NEGATIVE_INFINITY);
+      return (
+        dateValueForSort(b, Number.NEGATIVE_INFINITY, nowMs) - dateValueForSort(a, Number.NEGATIVE_INFINITY, nowMs)
+      );
     case "source_asc":
       return String(a.sourceName || "").localeCompare(String(b.sourceName || ""));
     case "title_asc":
@@ -150,33 +527,43 @@ export function compareBySort(a, b, sortBy = "match_desc") {
   }
 }
 
-export function rankItems(items, filters, profile, nowMs = Date.now()) {
+export function rankItems(items, filters, profile, nowMs = Date.now(), weights = DEFAULT_WEIGHTS) {
   const minMatch = Number(filters.minMatch ?? 0);
   const openOnly = Boolean(filters.openOnly);
   const closingSoonOnly = Boolean(filters.closingSoonOnly);
+  const hideIneligible = Boolean(filters.hideIneligible);
 
   return items
+    .map((item) => ({ ...item, status: itemStatus(item, nowMs) }))
     .filter((item) => matchesFilters(item, filters))
     .map((item) => {
-      const scored = scoreItem(item, profile, nowMs);
-      const left = daysLeft(item.deadline, nowMs);
+      const scored = scoreItem(item, profile, nowMs, weights);
+      const next = nextDeadline(item.deadlines, nowMs);
+      const left = itemDaysLeft(item, nowMs);
       return {
         ...item,
         matchScore: scored.score,
         matchReasons: scored.reasons,
+        matchBreakdown: scored.breakdown,
+        matchRawScore: scored.rawScore,
+        blockers: scored.blockers,
+        ineligible: scored.ineligible,
+        nextDeadline: next,
         daysLeftValue: left
       };
     })
     .filter((item) => item.matchScore >= minMatch)
     .filter((item) => (openOnly ? item.status === "open" : true))
+    .filter((item) => !(hideIneligible && item.ineligible))
     .filter((item) => {
       if (!closingSoonOnly) return true;
       if (typeof item.daysLeftValue !== "number") return false;
       return item.daysLeftValue >= 0 && item.daysLeftValue <= 14;
     })
     .sort((a, b) => {
-      const bySort = compareBySort(a, b, filters.sortBy || "match_desc");
-      if (bySort !== 0) return bySort;
+      // Two items both missing a deadline/amount compare as NaN (Infinity - Infinity); fall through to the title.
+      const bySort = compareBySort(a, b, filters.sortBy || "match_desc", nowMs);
+      if (bySort) return bySort;
       return String(a.title || "").localeCompare(String(b.title || ""));
     });
 }
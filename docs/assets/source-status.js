@@ -0,0 +1,89 @@
+const TREND_POINTS = 30;
+const ERRORS_PER_SOURCE = 5;
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+function isReachable(item) {
+  return String(item?.urlCheck?.status || "").startsWith("reachable");
+}
+
+function isChecked(item) {
+  const status = String(item?.urlCheck?.status || "");
+  return Boolean(status) && status !== "skipped";
+}
+
+// Errors from older datasets carry no sourceId; attribute them by homepage host when it is unambiguous.
+function errorSourceId(error, sourcesByHost) {
+  if (error?.sourceId) return error.sourceId;
+  const matches = sourcesByHost.get(hostOf(error?.detailUrl || error?.seedUrl)) || [];
+  return matches.length === 1 ? matches[0] : null;
+}
+
+export function passRate(checked, reachable) {
+  if (!checked) return null;
+  return Math.round((reachable / checked) * 100);
+}
+
+export function buildSourceRows({ dataset, historyIndex = null, healthReport = null }) {
+  const sources = Array.isArray(dataset?.sources) ? dataset.sources : [];
+  const items = Array.isArray(dataset?.items) ? dataset.items : [];
+  const errors = Array.isArray(dataset?.diagnostics?.errors) ? dataset.diagnostics.errors : [];
+  const snapshots = [...(historyIndex?.snapshots || [])].sort((a, b) => a.date.localeCompare(b.date));
+  const healthById = new Map((healthReport?.sources || []).map((entry) => [entry.sourceId, entry]));
+
+  const sourcesByHost = new Map();
+  for (const source of sources) {
+    const host = hostOf(source.homepage);
+    sourcesByHost.set(host, [...(sourcesByHost.get(host) || []), source.id]);
+  }
+
+  const errorsById = new Map();
+  for (const error of errors) {
+    const id = errorSourceId(error, sourcesByHost);
+    if (!id) continue;
+    errorsById.set(id, [...(errorsById.get(id) || []), error]);
+  }
+
+  return sources.map((source) => {
+    const sourceItems = items.filter((item) => item.sourceId === source.id);
+    const checked = sourceItems.filter(isChecked);
+    const trend = snapshots
+      .map((snapshot) => ({ date: snapshot.date, items: snapshot.sources?.[source.id]?.items ?? 0 }))
+      .slice(-TREND_POINTS);
+    const lastSuccess = [...snapshots].reverse().find((snapshot) => (snapshot.sources?.[source.id]?.fresh || 0) > 0);
+    const previous = trend.length > 1 ? trend[trend.length - 2].items : null;
+    const health = healthById.get(source.id) || null;
+
+    return {
+      id: source.id,
+      name: source.name,
+      homepage: source.homepage,
+      status: health?.status || (sourceItems.length === 0 ? "empty" : "ok"),
+      itemCount: sourceItems.length,
+      previousItemCount: previous,
+      trend,
+      lastSuccessfulCrawl: lastSuccess?.date || null,
+      urlChecked: checked.length,
+      urlPassRate: passRate(checked.length, checked.filter(isReachable).length),
+      errors: (errorsById.get(source.id) || [])
+        .slice(0, ERRORS_PER_SOURCE)
+        .map((error) => ({ url: error.detailUrl || error.seedUrl || "", message: error.error || "" }))
+    };
+  });
+}
+
+// Polyline points for an inline SVG sparkline of item counts.
+export function sparklinePoints(values, width = 120, height = 28) {
+  if (values.length === 0) return "";
+  const max = Math.max(1, ...values);
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  return values
+    .map((value, index) => `${Math.round(index * step)},${Math.round(height - (value / max) * height)}`)
+    .join(" ");
+}
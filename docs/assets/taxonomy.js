@@ -0,0 +1,145 @@
+// Controlled discipline vocabulary shared by the crawler (eligibility.disciplines) and the site (fit scoring).
+// Top-level areas follow the UKRI research-area split; children are narrower HESA cost-centre style subjects.
+// Synonyms are whole words or phrases; a trailing "*" matches any word ending ("biolog*" -> biology, biological).
+// Bump TAXONOMY_VERSION when ids change so stored datasets can be told apart.
+
+export const TAXONOMY_VERSION = "2026.1";
+export const ALL_DISCIPLINES = "all disciplines";
+
+export const DISCIPLINES = [
+  { id: "life sciences", parent: null, synonyms: ["life science*", "bioscience*", "biolog*", "biomedical"] },
+  { id: "neuroscience", parent: "life sciences", synonyms: ["neuroscien*", "neurobiolog*", "brain"] },
+  { id: "genetics and genomics", parent: "life sciences", synonyms: ["genetic*", "genom*"] },
+  {
+    id: "molecular and cell biology",
+    parent: "life sciences",
+    synonyms: ["molecular", "cell biology", "biochem*", "structural biology"]
+  },
+  { id: "microbiology", parent: "life sciences", synonyms: ["microbio*", "virolog*", "bacteria*"] },
+  {
+    id: "plant and animal sciences",
+    parent: "life sciences",
+    synonyms: ["plant science*", "zoolog*", "botan*", "agricultur*", "veterinary", "crop science*"]
+  },
+
+  { id: "medicine and health", parent: null, synonyms: ["health", "medical", "medicine"] },
+  { id: "clinical medicine", parent: "medicine and health", synonyms: ["clinical", "patient*"] },
+  { id: "public health", parent: "medicine and health", synonyms: ["epidemiolog*", "global health"] },
+  { id: "oncology", parent: "medicine and health", synonyms: ["cancer*", "oncolog*", "tumour*"] },
+  { id: "cardiovascular", parent: "medicine and health", synonyms: ["heart", "cardio*"] },
+  { id: "mental health", parent: "medicine and health", synonyms: ["psychiatr*"] },
+
+  { id: "engineering", parent: null, synonyms: ["engineer*"] },
+  { id: "materials", parent: "engineering", synonyms: ["materials science", "advanced materials"] },
+  { id: "mechanical engineering", parent: "engineering", synonyms: ["mechanical"] },
+  { id: "electrical and electronic engineering", parent: "engineering", synonyms: ["electrical", "electronic*"] },
+  { id: "civil engineering", parent: "engineering", synonyms: ["civil", "infrastructure"] },
+  { id: "chemical engineering", parent: "engineering", synonyms: [] },
+
+  { id: "computer science and ai", parent: null, synonyms: ["computer*", "computing", "software"] },
+  {
+    id: "artificial intelligence",
+    parent: "computer science and ai",
+    synonyms: ["ai", "machine learning", "deep learning"]
+  },
+  { id: "data science", parent: "computer science and ai", synonyms: ["big data"] },
+  { id: "cyber security", parent: "computer science and ai", synonyms: ["cyber*"] },
+
+  { id: "physical sciences", parent: null, synonyms: ["physical science*"] },
+  { id: "physics", parent: "physical sciences", synonyms: ["quantum"] },
+  { id: "chemistry", parent: "physical sciences", synonyms: ["chemist*"] },
+  { id: "mathematics", parent: "physical sciences", synonyms: ["mathemat*", "statistic*"] },
+  { id: "astronomy and space", parent: "physical sciences", synonyms: ["astronom*", "astrophysic*", "space science"] },
+
+  { id: "environment and earth", parent: null, synonyms: ["environment*", "sustainab*"] },
+  { id: "climate", parent: "environment and earth", synonyms: ["climate", "net zero"] },
+  { id: "ecology and biodiversity", parent: "environment and earth", synonyms: ["ecolog*", "biodiversity"] },
+  { id: "earth sciences", parent: "environment and earth", synonyms: ["geolog*", "geoscien*", "earth science*"] },
+  { id: "energy", parent: "environment and earth", synonyms: ["renewable*", "low carbon"] },
+
+  { id: "social sciences", parent: null, synonyms: ["social"] },
+  { id: "economics", parent: "social sciences", synonyms: ["econom*"] },
+  { id: "politics and policy", parent: "social sciences", synonyms: ["politic*", "policy"] },
+  { id: "education", parent: "social sciences", synonyms: [] },
+  { id: "psychology", parent: "social sciences", synonyms: ["psycholog*"] },
+  { id: "law", parent: "social sciences", synonyms: ["legal"] },
+
+  { id: "humanities", parent: null, synonyms: [] },
+  { id: "history", parent: "humanities", synonyms: ["histor*"] },
+  { id: "philosophy", parent: "humanities", synonyms: ["philosoph*"] },
+  { id: "languages and linguistics", parent: "humanities", synonyms: ["linguistic*", "languages"] },
+  { id: "literature", parent: "humanities", synonyms: ["literary"] },
+  { id: "arts and culture", parent: "humanities", synonyms: ["arts", "culture", "cultural", "music", "creative"] },
+
+  { id: "business", parent: null, synonyms: [] },
+  { id: "entrepreneurship", parent: "business", synonyms: ["entrepreneur*", "startup*", "start-up*"] },
+  {
+    id: "innovation and commercialisation",
+    parent: "business",
+    synonyms: ["innovation", "commercialisation", "commercialization"]
+  }
+];
+
+const BY_ID = new Map(DISCIPLINES.map((entry) => [entry.id, entry]));
+
+function synonymPattern(synonym) {
+  const stem = synonym.endsWith("*");
+  const words = (stem ? synonym.slice(0, -1) : synonym).replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+  return stem ? `\\b${words}\\w*` : `\\b${words}\\b`;
+}
+
+const MATCHERS = DISCIPLINES.map((entry) => ({
+  id: entry.id,
+  regex: new RegExp([entry.id, ...entry.synonyms].map(synonymPattern).join("|"), "i")
+}));
+
+export function disciplineAncestors(id) {
+  const ancestors = [];
+  let parent = BY_ID.get(id)?.parent;
+  while (parent) {
+    ancestors.push(parent);
+    parent = BY_ID.get(parent)?.parent;
+  }
+  return ancestors;
+}
+
+// Taxonomy ids named in the text, in taxonomy order. By default every match also brings in its ancestors,
+// so an item about neuroscience is listed under life sciences too.
+export function findDisciplines(text, { withAncestors = true } = {}) {
+  const source = String(text || "");
+  const hits = new Set();
+  for (const { id, regex } of MATCHERS) {
+    if (!regex.test(source)) continue;
+    hits.add(id);
+    if (withAncestors) disciplineAncestors(id).forEach((ancestor) => hits.add(ancestor));
+  }
+  return DISCIPLINES.map((entry) => entry.id).filter((id) => hits.has(id));
+}
+
+// Maps free-text discipline names (e.g. from an AI summary) onto taxonomy ids; unmatched names are dropped.
+export function normalizeDisciplines(values) {
+  const list = (Array.isArray(values) ? values : []).map((value) => String(value || "").toLowerCase().trim());
+  if (list.includes(ALL_DISCIPLINES)) return [ALL_DISCIPLINES];
+  const ids = new Set(list.flatMap((value) => (BY_ID.has(value) ? [value, ...disciplineAncestors(value)] : findDisciplines(value))));
+  const ordered = DISCIPLINES.map((entry) => entry.id).filter((id) => ids.has(id));
+  return ordered.length > 0 ? ordered : [ALL_DISCIPLINES];
+}
+
+// How a profile's disciplines relate to an item's:
+// - "exact": the item lists one of them
+// - "parent": the item lists a broader area containing one of them
+// - "broad": the item is open to all disciplines
+// - "none": no overlap (also when the profile text names no taxonomy discipline)
+export function disciplineRelation(profileIds, itemIds) {
+  const item = new Set(itemIds || []);
+  if (item.has(ALL_DISCIPLINES)) return { relation: "broad", discipline: ALL_DISCIPLINES };
+
+  const exact = (profileIds || []).find((id) => item.has(id));
+  if (exact) return { relation: "exact", discipline: exact };
+
+  for (const id of profileIds || []) {
+    const parent = disciplineAncestors(id).find((ancestor) => item.has(ancestor));
+    if (parent) return { relation: "parent", discipline: parent };
+  }
+  return { relation: "none", discipline: null };
+}
@@ -0,0 +1,44 @@
+// Lifecycle events for the item detail view, read from data/history/items.json (built by the pipeline
+// from the daily snapshots). Pure helpers so they can be tested outside the browser.
+
+const EVENT_ORDER = { first_seen: 0, reappeared: 1, change: 2, last_seen: 3, dropped: 4 };
+
+// Events oldest first, with a "last seen" marker added before any drop-off.
+export function itemTimelineEvents(timeline) {
+  if (!timeline || !Array.isArray(timeline.events)) return [];
+  const events = [
+    ...timeline.events,
+    {
+      date: timeline.lastSeen,
+      type: "last_seen",
+      note: timeline.droppedOn ? "Last seen on the source" : "Still listed in the latest crawl"
+    }
+  ];
+  return events
+    .map((event, index) => ({ event, index }))
+    .sort(
+      (a, b) =>
+        String(a.event.date).localeCompare(String(b.event.date)) ||
+        (EVENT_ORDER[a.event.type] ?? 9) - (EVENT_ORDER[b.event.type] ?? 9) ||
+        a.index - b.index
+    )
+    .map(({ event }) => event);
+}
+
+// Whole days between two YYYY-MM-DD dates.
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 3600 * 1000));
+}
+
+export function timelineSummary(timeline) {
+  if (!timeline) return null;
+  const end = timeline.droppedOn || timeline.lastSeen;
+  return {
+    listed: !timeline.droppedOn,
+    firstSeen: timeline.firstSeen,
+    lastSeen: timeline.lastSeen,
+    droppedOn: timeline.droppedOn,
+    trackedDays: timeline.firstSeen && end ? daysBetween(timeline.firstSeen, end) : null,
+    changes: timeline.events.filter((event) => event.type === "change").length
+  };
+}
@@ -0,0 +1,45 @@
+import { dedupeLinks, extractLinks, extractTitle, stripHtml, urlPath } from "../lib/extract.mjs";
+
+// FindAPhD project pages: https://www.findaphd.com/phds/project/<slug>/?p<id>
+// The "Funded PhD Project (... Students Only)" banner is the only reliable nationality signal on these pages.
+
+function isProjectPage(url) {
+  return urlPath(url).startsWith("/phds/project/");
+}
+
+function inferFundedNationalities(text) {
+  const lower = text.toLowerCase();
+  if (lower.includes("students worldwide")) return ["international"];
+  if (lower.includes("european/uk students only")) return ["uk", "eu"];
+  if (lower.includes("uk students only")) return ["uk"];
+  return null;
+}
+
+export const findaphdAdapter = {
+  name: "findaphd",
+
+  parseListing(html, { seedUrl, maxPerSource }) {
+    return dedupeLinks(extractLinks(html, seedUrl))
+      .filter((link) => isProjectPage(link.url))
+      .slice(0, maxPerSource);
+  },
+
+  parseDetail(html, { candidate }) {
+    if (!isProjectPage(candidate.url)) return null;
+    return {
+      title: extractTitle(html),
+      type: "scholarship"
+    };
+  },
+
+  mapFields(item, { text }) {
+    const nationalities = inferFundedNationalities(text);
+    return {
+      eligibility: {
+        ...item.eligibility,
+        levels: ["phd"],
+        ...(nationalities ? { nationalities } : {})
+      }
+    };
+  }
+};
@@ -0,0 +1,22 @@
+import { findaphdAdapter } from "./findaphd.mjs";
+import { innovateUkIfsAdapter } from "./innovate-uk-ifs.mjs";
+import { ukriOpportunityAdapter } from "./ukri-opportunity.mjs";
+
+// Source adapters customise how one funder is crawled. A source opts in with `"adapter": "<name>"` in
+// config/sources.json. Every hook is optional, and a hook that returns null defers to the generic crawler:
+// - parseListing(html, { source, seedUrl, maxPerSource }) -> [{ url, text }] detail links from a seed or listing page
+// - parseDetail(html, { source, candidate }) -> { title, description, text, deadline, deadlineTime, deadlineTimezone,
+//   openingDate, openingTime, openingTimezone, amount, type, status }
+//   (empty fields are filled in by the generic heuristics)
+// - mapFields(item, { source, candidate, text }) -> partial item merged over the generic mapping
+const ADAPTERS = new Map(
+  [ukriOpportunityAdapter, innovateUkIfsAdapter, findaphdAdapter].map((adapter) => [adapter.name, adapter])
+);
+
+export function getAdapter(name) {
+  return ADAPTERS.get(String(name || "")) || null;
+}
+
+export function listAdapterNames() {
+  return [...ADAPTERS.keys()];
+}
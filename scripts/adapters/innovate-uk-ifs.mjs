@@ -0,0 +1,66 @@
+import {
+  dedupeLinks,
+  extractDefinitionList,
+  extractLinks,
+  extractMetaDescription,
+  extractTitle,
+  getHost,
+  normalizeWhitespace,
+  parseDateTimeFromText,
+  stripHtml,
+  urlPath
+} from "../lib/extract.mjs";
+
+// Innovate UK Innovation Funding Service: https://apply-for-innovation-funding.service.gov.uk/competition/<id>/overview/<uuid>
+// The seed list also carries a ukri.org council page, so anything off the IFS host falls back to the generic crawler.
+
+const IFS_HOST = "apply-for-innovation-funding.service.gov.uk";
+
+function isCompetitionOverview(url) {
+  return getHost(url) === IFS_HOST && /^\/competition\/\d+\/overview(\/|$)/.test(urlPath(url));
+}
+
+function extractMainText(html) {
+  const main = html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i);
+  return stripHtml(main?.[1] || html);
+}
+
+export const innovateUkIfsAdapter = {
+  name: "innovate-uk-ifs",
+
+  parseListing(html, { seedUrl, maxPerSource }) {
+    if (getHost(seedUrl) !== IFS_HOST) return null;
+    return dedupeLinks(extractLinks(html, seedUrl))
+      .filter((link) => isCompetitionOverview(link.url))
+      .slice(0, maxPerSource);
+  },
+
+  parseDetail(html, { candidate }) {
+    if (!isCompetitionOverview(candidate.url)) return null;
+
+    const fields = extractDefinitionList(html);
+    const title = extractTitle(html).replace(/^funding competition\s*/i, "");
+    const mainText = extractMainText(html);
+    const closesText =
+      fields["competition closes"] ||
+      fields.closes ||
+      (mainText.match(/competition closes:?\s*([^.;]{6,60})/i) || [])[1] ||
+      "";
+    const descriptionStart = title ? mainText.indexOf(title) : -1;
+    const description =
+      extractMetaDescription(html) ||
+      normalizeWhitespace(descriptionStart >= 0 ? mainText.slice(descriptionStart + title.length) : mainText).slice(0, 860);
+
+    const closing = parseDateTimeFromText(closesText);
+
+    return {
+      title,
+      description,
+      text: mainText,
+      deadline: closing?.date || null,
+      deadlineTime: closing?.time || null,
+      deadlineTimezone: closing?.timezone || null,
+      type: "call"
+    };
+  }
+};
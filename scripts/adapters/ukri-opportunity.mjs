@@ -0,0 +1,71 @@
+import {
+  dedupeLinks,
+  extractAmount,
+  extractDefinitionList,
+  extractLinks,
+  extractMetaDescription,
+  extractTitle,
+  parseDateTimeFromText,
+  pickFirstNonEmpty,
+  urlPath
+} from "../lib/extract.mjs";
+
+// UKRI opportunity pages: https://www.ukri.org/opportunity/<slug>/
+// Their summary table is a <dl> with "Opportunity status", "Funding type", "Total fund", "Opening date" and
+// "Closing date" rows.
+
+const FUNDING_TYPE_MAP = [
+  ["fellowship", "fellowship"],
+  ["studentship", "scholarship"],
+  ["training", "scholarship"],
+  ["award", "award"],
+  ["grant", "grant"]
+];
+
+function isOpportunityPage(url) {
+  return /^\/opportunity\/(?!page\/|feed)[^/]+$/.test(urlPath(url));
+}
+
+function mapFundingType(value) {
+  const lower = String(value || "").toLowerCase();
+  const hit = FUNDING_TYPE_MAP.find(([needle]) => lower.includes(needle));
+  return hit ? hit[1] : null;
+}
+
+function mapStatus(value) {
+  const lower = String(value || "").toLowerCase();
+  if (lower.startsWith("open")) return "open";
+  if (lower.startsWith("upcoming")) return "upcoming";
+  if (lower.startsWith("closed")) return "closed";
+  return null;
+}
+
+export const ukriOpportunityAdapter = {
+  name: "ukri-opportunity",
+
+  parseListing(html, { seedUrl, maxPerSource }) {
+    const links = dedupeLinks(extractLinks(html, seedUrl)).filter((link) => isOpportunityPage(link.url));
+    return links.length > 0 ? links.slice(0, maxPerSource) : null;
+  },
+
+  parseDetail(html, { candidate }) {
+    if (!isOpportunityPage(candidate.url)) return null;
+
+    const fields = extractDefinitionList(html);
+    const opening = parseDateTimeFromText(fields["opening date"] || "");
+    const closing = parseDateTimeFromText(fields["closing date"] || "");
+    return {
+      title: extractTitle(html).replace(/^funding opportunity:\s*/i, ""),
+      description: extractMetaDescription(html),
+      deadline: closing?.date || null,
+      deadlineTime: closing?.time || null,
+      deadlineTimezone: closing?.timezone || null,
+      openingDate: opening?.date || null,
+      openingTime: opening?.time || null,
+      openingTimezone: opening?.timezone || null,
+      amount: extractAmount(pickFirstNonEmpty(fields["total fund"], fields["maximum award"], fields["award range"])),
+      type: mapFundingType(fields["funding type"]),
+      status: mapStatus(fields["opportunity status"])
+    };
+  }
+};
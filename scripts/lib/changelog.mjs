@@ -0,0 +1,99 @@
+// Field-level change log. Each run diffs every item against its previous version (matched by id, after
+// identity resolution) and appends what moved to docs/data/changelog.json, keyed by item id.
+
+export const TRACKED_FIELDS = ["title", "url", "status", "opensAt", "deadline", "amount"];
+const MAX_ENTRIES_PER_ITEM = 20;
+
+function comparable(value) {
+  return value === undefined || value === "" ? null : value;
+}
+
+export function diffItem(previous, item) {
+  if (!previous) return [];
+  return TRACKED_FIELDS.filter((field) => comparable(previous[field]) !== comparable(item[field])).map((field) => ({
+    field,
+    from: comparable(previous[field]),
+    to: comparable(item[field])
+  }));
+}
+
+function amountDirection(previous, item) {
+  const before = previous?.amountDetails;
+  const after = item?.amountDetails;
+  if (!before || !after || before.currency !== after.currency) return "changed";
+  const x = before.max ?? before.min;
+  const y = after.max ?? after.min;
+  if (typeof x !== "number" || typeof y !== "number" || x === y) return "changed";
+  return y > x ? "increased" : "reduced";
+}
+
+const LABELS = {
+  title: "Title",
+  url: "Page",
+  status: "Status",
+  opensAt: "Opening date",
+  deadline: "Deadline",
+  amount: "Amount"
+};
+
+function shown(field, value) {
+  if (field === "opensAt") return String(value).slice(0, 10);
+  if (field === "title") return `"${value}"`;
+  return String(value);
+}
+
+// One-line note for a change, e.g. "Deadline extended from 2026-04-30 to 2026-05-14".
+// `direction` is only used for amounts ("increased"/"reduced"/"changed").
+export function describeChange({ field, from, to, direction }) {
+  const label = LABELS[field] || field;
+  if (from === null) return `${label} added: ${shown(field, to)}`;
+  if (to === null) return `${label} removed (was ${shown(field, from)})`;
+
+  if (field === "deadline" || field === "opensAt") {
+    const verb = to > from ? (field === "deadline" ? "extended" : "pushed back") : "brought forward";
+    return `${label} ${verb} from ${shown(field, from)} to ${shown(field, to)}`;
+  }
+  if (field === "amount") return `Amount ${direction || "changed"} from ${from} to ${to}`;
+  if (field === "url") return `Page moved from ${from} to ${to}`;
+  if (field === "title") return `Retitled from ${shown(field, from)} to ${shown(field, to)}`;
+  return `${label} changed from ${shown(field, from)} to ${shown(field, to)}`;
+}
+
+// Changes between two versions of one item, each with its note and the detection time.
+export function detectChanges(previous, item, detectedAt) {
+  return diffItem(previous, item).map((change) => {
+    const entry = { ...change, detectedAt };
+    if (change.field === "amount") entry.direction = amountDirection(previous, item);
+    return { ...entry, note: describeChange(entry) };
+  });
+}
+
+// Appends this run's changes to the previous log. Only items still published are kept, each with at most
+// MAX_ENTRIES_PER_ITEM entries (oldest dropped first). A same-day rerun that sees the same change again
+// does not record it twice.
+export function updateChangelog(
+  previousLog,
+  changesById,
+  itemIds,
+  { generatedAt, maxEntries = MAX_ENTRIES_PER_ITEM } = {}
+) {
+  const previousItems = previousLog?.items && typeof previousLog.items === "object" ? previousLog.items : {};
+  const items = {};
+
+  for (const id of itemIds) {
+    const entries = [...(Array.isArray(previousItems[id]) ? previousItems[id] : [])];
+    for (const change of changesById.get(id) || []) {
+      const duplicate = entries.some(
+        (entry) =>
+          entry.field === change.field &&
+          entry.from === change.from &&
+          entry.to === change.to &&
+          String(entry.detectedAt).slice(0, 10) === String(change.detectedAt).slice(0, 10)
+      );
+      if (!duplicate) entries.push(change);
+    }
+    if (entries.length > 0) items[id] = entries.slice(-maxEntries);
+  }
+
+  return { generatedAt, fields: TRACKED_FIELDS, items };
+}
@@ -0,0 +1,174 @@
+import { getHost } from "./extract.mjs";
+import { titleSimilarity } from "./identity.mjs";
+
+// The same call is often listed by several sources: a UKRI opportunity under UKRI and the research
+// councils, a university studentship mirrored on FindAPhD. Items are compared pairwise on normalised
+// title, deadline, amount and funder (the URL's host); pairs that agree are merged into one item that
+// keeps the most authoritative URL and lists every source in `listedBy`.
+
+export const DUPLICATE_TITLE_THRESHOLD = 0.75;
+const STRONG_TITLE_THRESHOLD = 0.9;
+const AMOUNT_TOLERANCE = 0.01;
+const STALE_SOURCE_TYPES = new Set(["carried_forward", "fallback"]);
+
+function listingOf(item) {
+  return { sourceId: item.sourceId, sourceName: item.sourceName, url: item.url };
+}
+
+function mergeListings(...lists) {
+  const seen = new Set();
+  return lists.flat().filter((entry) => {
+    const key = `${entry.sourceId}|${entry.url}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function listingsOf(item) {
+  return Array.isArray(item.listedBy) && item.listedBy.length > 0 ? item.listedBy : [listingOf(item)];
+}
+
+// Every source that listed any of the items, in order, without repeats.
+export function combineListings(...items) {
+  return mergeListings(...items.map(listingsOf));
+}
+
+function amountsAgree(a, b) {
+  const left = a?.amountDetails;
+  const right = b?.amountDetails;
+  if (!left || !right || left.currency !== right.currency) return null;
+  const x = left.max ?? left.min;
+  const y = right.max ?? right.min;
+  if (typeof x !== "number" || typeof y !== "number") return null;
+  return Math.abs(x - y) <= Math.max(x, y) * AMOUNT_TOLERANCE;
+}
+
+// Returns null when the pair is not a duplicate, otherwise the similarity and the fields that agreed.
+// A stated deadline or amount that differs always keeps two items apart, however similar the titles.
+export function compareForDuplicate(a, b) {
+  const similarity = titleSimilarity(a.title, b.title);
+  if (similarity < DUPLICATE_TITLE_THRESHOLD) return null;
+
+  const deadline = a.deadline && b.deadline ? a.deadline === b.deadline : null;
+  const amount = amountsAgree(a, b);
+  if (deadline === false || amount === false) return null;
+
+  const sameFunder = Boolean(getHost(a.url)) && getHost(a.url) === getHost(b.url);
+  const corroborating = [deadline, amount].filter(Boolean).length;
+  const duplicate =
+    (similarity >= STRONG_TITLE_THRESHOLD && (sameFunder || corroborating >= 1)) ||
+    (sameFunder && corroborating >= 1) ||
+    corroborating >= 2;
+  if (!duplicate) return null;
+
+  const evidence = ["title"];
+  if (deadline) evidence.push("deadline");
+  if (amount) evidence.push("amount");
+  if (sameFunder) evidence.push("funder");
+  return { similarity: Math.round(similarity * 100) / 100, evidence };
+}
+
+// Lower sorts first. A listing on an aggregator loses to one from the funder itself; among the rest, a URL
+// on the source's own site beats one it links out to, fresh items beat carried-forward ones, then the
+// order of config/sources.json decides.
+function authorityRank(item, sourceById, sourceOrder) {
+  const source = sourceById.get(item.sourceId);
+  return [
+    source?.aggregator ? 1 : 0,
+    source?.homepage && getHost(source.homepage) === getHost(item.url) ? 0 : 1,
+    STALE_SOURCE_TYPES.has(item.rawSignals?.sourceType) ? 1 : 0,
+    sourceOrder.get(item.sourceId) ?? Number.MAX_SAFE_INTEGER
+  ];
+}
+
+function compareRanks(a, b) {
+  for (let index = 0; index < a.length; index += 1) {
+    if (a[index] !== b[index]) return a[index] - b[index];
+  }
+  return 0;
+}
+
+// The primary item wins field by field; a deadline or amount it lacks is taken from the first duplicate
+// that has one.
+function mergeGroup(group) {
+  const [primary, ...others] = group;
+  const merged = { ...primary, listedBy: combineListings(...group) };
+
+  const withDeadline = others.find((item) => item.deadline);
+  if (!merged.deadline && withDeadline) {
+    merged.deadline = withDeadline.deadline;
+    merged.deadlineAt = withDeadline.deadlineAt ?? null;
+    merged.deadlines = withDeadline.deadlines || [];
+  }
+  const withAmount = others.find((item) => item.amount);
+  if (!merged.amount && withAmount) {
+    merged.amount = withAmount.amount;
+    merged.amountDetails = withAmount.amountDetails || null;
+  }
+  return merged;
+}
+
+export function mergeDuplicates(items, sources = []) {
+  const sourceById = new Map(sources.map((source) => [source.id, source]));
+  const sourceOrder = new Map(sources.map((source, index) => [source.id, index]));
+  const parent = items.map((_, index) => index);
+  const members = items.map((_, index) => [index]);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const evidenceFor = new Map();
+
+  for (let i = 0; i < items.length; i += 1) {
+    for (let j = i + 1; j < items.length; j += 1) {
+      const match = compareForDuplicate(items[i], items[j]);
+      if (!match) continue;
+      const left = find(i);
+      const right = find(j);
+      if (left !== right) {
+        // Groups merge only if every pair across them is a duplicate, so an item without a deadline cannot join
+        // two items whose deadlines differ.
+        const compatible = members[left].every((a) =>
+          members[right].every((b) => compareForDuplicate(items[a], items[b]))
+        );
+        if (!compatible) continue;
+        parent[right] = left;
+        members[left].push(...members[right]);
+      }
+      if (!evidenceFor.has(j)) evidenceFor.set(j, { ...match, with: i });
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  const merged = [];
+  const decisions = [];
+  const rank = (item) => authorityRank(item, sourceById, sourceOrder);
+  for (const indexes of groups.values()) {
+    const group = indexes.map((index) => items[index]).sort((a, b) => compareRanks(rank(a), rank(b)));
+    const item = mergeGroup(group);
+    merged.push(item);
+
+    if (group.length > 1) {
+      decisions.push({
+        keptId: item.id,
+        keptSourceId: item.sourceId,
+        url: item.url,
+        merged: group.slice(1).map((entry) => ({ id: entry.id, sourceId: entry.sourceId, url: entry.url })),
+        matches: indexes
+          .filter((index) => evidenceFor.has(index))
+          .map((index) => ({
+            id: items[index].id,
+            with: items[evidenceFor.get(index).with].id,
+            similarity: evidenceFor.get(index).similarity,
+            evidence: evidenceFor.get(index).evidence
+          }))
+      });
+    }
+  }
+
+  return { items: merged, decisions };
+}
@@ -0,0 +1,107 @@
+// Eligibility conditions beyond level/career stage/nationality, read from call text. A field stays
+// null (or []) when the text does not state it, so "not stated" is never read as "not required".
+
+export const HOST_INSTITUTION_TYPES = ["uk_hei", "uk_research_org", "uk_business"];
+export const CONTRACT_REQUIREMENTS = ["permanent", "covers_award"];
+
+const HOST_PATTERNS = [
+  {
+    type: "uk_hei",
+    pattern:
+      /\b(?:uk|eligible|british) (?:higher education institutions?|heis?|universit(?:y|ies))\b|\bheld at an? (?:uk )?universit|\bhosted (?:by|at) an? uk universit/i
+  },
+  {
+    type: "uk_research_org",
+    pattern:
+      /\b(?:uk|eligible) research organisations?\b|\bindependent research organisations?\b|\bresearch and technology organisations?\b|\brtos?\b/i
+  },
+  {
+    type: "uk_business",
+    pattern: /\buk[- ]registered (?:business(?:es)?|compan(?:y|ies)|smes?)\b|\bbusiness(?:es)? based in the uk\b|\buk smes?\b/i
+  }
+];
+const PERMANENT_PATTERN =
+  /\bpermanent (?:contract|position|post|appointment|member of staff|academic (?:post|position|staff))|\bopen-ended (?:contract|appointment)/i;
+const COVERS_AWARD_PATTERN =
+  /\bcontract (?:of employment )?(?:that |which )?(?:must |should |will )?(?:extends?|lasts?|runs?) (?:beyond|until|for) the (?:end|duration|full duration) of the (?:grant|award|project|fellowship)/i;
+const PHD_WORDS = "(?:phd|doctorate|doctoral degree)";
+const MAX_YEARS_PATTERN = new RegExp(
+  `\\b(?:no more than|not more than|within|up to|less than|fewer than|maximum of)\\s+(\\d{1,2})\\s+years?\\s+(?:of|since|after|from|post)[^.;]{0,40}?\\b${PHD_WORDS}`,
+  "i"
+);
+const MIN_YEARS_PATTERN = new RegExp(
+  `\\b(?:at least|minimum of|more than|over)\\s+(\\d{1,2})\\s+years?\\s+(?:of\\s+)?(?:post-?${PHD_WORDS}|(?:research )?experience (?:since|after) (?:your |their |the )?${PHD_WORDS})`,
+  "i"
+);
+const RANGE_YEARS_PATTERN = new RegExp(
+  `\\bbetween\\s+(\\d{1,2})\\s+and\\s+(\\d{1,2})\\s+years?\\s+(?:of|since|after|from|post)[^.;]{0,40}?\\b${PHD_WORDS}`,
+  "i"
+);
+const UK_RESIDENCY_PATTERN =
+  /\b(?:must|should|need to) (?:be|have been) (?:ordinarily |normally )?resident in the (?:uk|united kingdom)|\buk residen(?:ts?|cy) (?:is |are )?(?:required|essential)|\bright to work in the (?:uk|united kingdom)|\b(?:settled|pre-settled) status\b/i;
+const INDUSTRY_PARTNER_PATTERN =
+  /\b(?:must|should|required to|need to) (?:include|involve|have|secure|partner with|collaborate with|work with)[^.;]{0,40}\b(?:industr(?:y|ial)|business|company|commercial) (?:partners?|collaborators?)|\b(?:industry|industrial|business) (?:partners?|partnership|collaborators?) (?:is|are) (?:required|essential|mandatory)|\bindustrial co-?funding is required\b/i;
+
+function yearsSincePhd(text) {
+  const range = text.match(RANGE_YEARS_PATTERN);
+  if (range) return { min: Number(range[1]), max: Number(range[2]) };
+
+  const max = text.match(MAX_YEARS_PATTERN);
+  const min = text.match(MIN_YEARS_PATTERN);
+  if (!max && !min) return null;
+  return { min: min ? Number(min[1]) : null, max: max ? Number(max[1]) : null };
+}
+
+export function extractEligibilityRules(text) {
+  const source = String(text || "").replace(/\s+/g, " ");
+  return {
+    hostInstitutions: HOST_PATTERNS.filter(({ pattern }) => pattern.test(source)).map(({ type }) => type),
+    contractRequirement: PERMANENT_PATTERN.test(source)
+      ? "permanent"
+      : COVERS_AWARD_PATTERN.test(source)
+      ? "covers_award"
+      : null,
+    yearsSincePhd: yearsSincePhd(source),
+    residency: UK_RESIDENCY_PATTERN.test(source) ? "uk" : null,
+    industryPartnerRequired: INDUSTRY_PARTNER_PATTERN.test(source) ? true : null
+  };
+}
+
+function yearsOrNull(value) {
+  const number = Number(value);
+  return value !== null && value !== undefined && value !== "" && Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+// An AI answer that is blank, false, "null" or the prompt template copied back ({ "min": null, "max": null })
+// does not state the rule, so it must not override what the heuristics found.
+function isStated(value) {
+  if (value === undefined || value === null || value === false) return false;
+  if (typeof value === "string") return !["", "null"].includes(value.trim().toLowerCase());
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "object") return Object.values(value).some(isStated);
+  return true;
+}
+
+// Cleans rules from any source (heuristics above, AI output in snake_case, older datasets without them).
+// When both are present, what the AI states wins over the heuristic camelCase value.
+export function normalizeEligibilityRules(eligibility) {
+  const pick = (camel, snake) => (isStated(eligibility?.[snake]) ? eligibility[snake] : eligibility?.[camel] ?? null);
+
+  const hosts = pick("hostInstitutions", "host_institutions");
+  const contract = String(pick("contractRequirement", "contract_requirement") || "").toLowerCase();
+  const years = pick("yearsSincePhd", "years_since_phd");
+  const min = yearsOrNull(years?.min);
+  const max = yearsOrNull(years?.max);
+  const residency = String(eligibility?.residency || "").toLowerCase();
+  const partner = pick("industryPartnerRequired", "industry_partner_required");
+
+  return {
+    hostInstitutions: [...new Set((Array.isArray(hosts) ? hosts : []).map((x) => String(x).toLowerCase()))].filter((x) =>
+      HOST_INSTITUTION_TYPES.includes(x)
+    ),
+    contractRequirement: CONTRACT_REQUIREMENTS.includes(contract) ? contract : null,
+    yearsSincePhd: min === null && max === null ? null : { min, max },
+    residency: residency === "uk" ? "uk" : null,
+    industryPartnerRequired: partner === true || partner === "true" ? true : null
+  };
+}
@@ -0,0 +1,610 @@
+import { DEFAULT_DEADLINE_TIMEZONE, parseAmount, parseFecPercent, utcMsToZonedTime } from "../../docs/assets/matching.js";
+
+const MONTHS = {
+  january: 1,
+  jan: 1,
+  february: 2,
+  feb: 2,
+  march: 3,
+  mar: 3,
+  april: 4,
+  apr: 4,
+  may: 5,
+  june: 6,
+  jun: 6,
+  july: 7,
+  jul: 7,
+  august: 8,
+  aug: 8,
+  september: 9,
+  sept: 9,
+  sep: 9,
+  october: 10,
+  oct: 10,
+  november: 11,
+  nov: 11,
+  december: 12,
+  dec: 12
+};
+
+export function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+export function stripHtml(html) {
+  return normalizeWhitespace(
+    html
+      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, " ")
+      .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, " ")
+      .replace(/<noscript\b[^<]*(?:(?!<\/noscript>)<[^<]*)*<\/noscript>/gi, " ")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/&nbsp;/gi, " ")
+      .replace(/&amp;/gi, "&")
+      .replace(/&quot;/gi, '"')
+      .replace(/&#39;/gi, "'")
+      .replace(/&lt;/gi, "<")
+      .replace(/&gt;/gi, ">")
+  );
+}
+
+export function decodeHtmlEntities(text) {
+  return text
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&amp;/gi, "&")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)));
+}
+
+export function extractTitle(html) {
+  const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  if (h1?.[1]) {
+    return normalizeWhitespace(decodeHtmlEntities(stripHtml(h1[1])));
+  }
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return title?.[1] ? normalizeWhitespace(decodeHtmlEntities(stripHtml(title[1]))) : "";
+}
+
+export function extractMetaDescription(html) {
+  const match = html.match(/<meta[^>]+name=["']description["'][^>]+content=["']([\s\S]*?)["'][^>]*>/i);
+  if (!match?.[1]) return "";
+  return normalizeWhitespace(decodeHtmlEntities(match[1]));
+}
+
+export function canonicalizeUrl(rawUrl) {
+  try {
+    const u = new URL(rawUrl);
+    u.hash = "";
+    if (u.pathname.endsWith("/")) u.pathname = u.pathname.slice(0, -1);
+    return u.toString();
+  } catch {
+    return rawUrl;
+  }
+}
+
+export function extractLinks(html, baseUrl) {
+  const links = [];
+  const regex = /<a\b[^>]*href=["']([^"'#]+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let match;
+
+  while ((match = regex.exec(html)) !== null) {
+    const href = match[1]?.trim();
+    if (!href) continue;
+    if (href.startsWith("mailto:") || href.startsWith("tel:")) continue;
+
+    let absolute;
+    try {
+      absolute = new URL(href, baseUrl).toString();
+    } catch {
+      continue;
+    }
+
+    const text = normalizeWhitespace(decodeHtmlEntities(stripHtml(match[2] || "")));
+    if (!text || text.length < 2) continue;
+
+    links.push({
+      url: canonicalizeUrl(absolute),
+      text
+    });
+  }
+
+  return links;
+}
+
+// Finds the listing's next page from <link rel="next"> or <a rel="next">.
+export function extractRelNext(html, baseUrl) {
+  const tags = String(html || "").match(/<(?:link|a)\b[^>]*>/gi) || [];
+  for (const tag of tags) {
+    const rel = tag.match(/\brel=["']([^"']+)["']/i)?.[1];
+    if (!rel || !rel.toLowerCase().split(/\s+/).includes("next")) continue;
+
+    const href = tag.match(/\bhref=["']([^"'#]+)["']/i)?.[1];
+    if (!href) continue;
+    try {
+      return canonicalizeUrl(new URL(decodeHtmlEntities(href.trim()), baseUrl).toString());
+    } catch {
+      continue;
+    }
+  }
+  return null;
+}
+
+export function getHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+export function urlPath(url) {
+  try {
+    return new URL(url).pathname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+export function parseDateFromText(text) {
+  if (!text) return null;
+  const normalized = text.replace(/,/g, " ").replace(/\s+/g, " ").trim();
+
+  const directIso = normalized.match(/\b(20\d{2})[-\/](0?[1-9]|1[0-2])[-\/](0?[1-9]|[12]\d|3[01])\b/);
+  if (directIso) {
+    const year = Number(directIso[1]);
+    const month = Number(directIso[2]);
+    const day = Number(directIso[3]);
+    return toIsoDate(year, month, day);
+  }
+
+  const dmyNumeric = normalized.match(/\b(0?[1-9]|[12]\d|3[01])[\/\-.](0?[1-9]|1[0-2])[\/\-.](20\d{2})\b/);
+  if (dmyNumeric) {
+    const day = Number(dmyNumeric[1]);
+    const month = Number(dmyNumeric[2]);
+    const year = Number(dmyNumeric[3]);
+    return toIsoDate(year, month, day);
+  }
+
+  const monthNamePatterns = [
+    /\b(0?[1-9]|[12]\d|3[01])\s+(january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec)\s+(20\d{2})\b/i,
+    /\b(january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec)\s+(0?[1-9]|[12]\d|3[01])\s+(20\d{2})\b/i
+  ];
+
+  for (const pattern of monthNamePatterns) {
+    const m = normalized.match(pattern);
+    if (!m) continue;
+
+    let day;
+    let monthName;
+    let year;
+
+    if (pattern === monthNamePatterns[0]) {
+      day = Number(m[1]);
+      monthName = m[2];
+      year = Number(m[3]);
+    } else {
+      monthName = m[1];
+      day = Number(m[2]);
+      year = Number(m[3]);
+    }
+
+    const month = MONTHS[monthName.toLowerCase()];
+    if (month) return toIsoDate(year, month, day);
+  }
+
+  return null;
+}
+
+export function toIsoDate(year, month, day) {
+  const dt = new Date(Date.UTC(year, month - 1, day));
+  if (Number.isNaN(dt.getTime())) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+export function extractDeadline(text) {
+  if (!text) return null;
+
+  const targeted = text.match(
+    /(deadline|closing date|applications? close(?:s|d)?|closes?|closing)\s*[:\-]?\s*([^\.\n;]{4,80})/i
+  );
+  if (targeted?.[2]) {
+    const parsed = parseDateFromText(targeted[2]);
+    if (parsed) return parsed;
+  }
+
+  return parseDateFromText(text);
+}
+
+const MONTH_NAMES =
+  "january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec";
+const DATE_MENTION_PATTERNS = [
+  { regex: /\b(20\d{2})[-\/](0?[1-9]|1[0-2])[-\/](0?[1-9]|[12]\d|3[01])\b/g, order: ["year", "month", "day"] },
+  { regex: /\b(0?[1-9]|[12]\d|3[01])[\/.](0?[1-9]|1[0-2])[\/.](20\d{2})\b/g, order: ["day", "month", "year"] },
+  {
+    regex: new RegExp(`\\b(0?[1-9]|[12]\\d|3[01])(?:st|nd|rd|th)?\\s+(${MONTH_NAMES})\\.?,?\\s+(20\\d{2})\\b`, "gi"),
+    order: ["day", "month", "year"]
+  },
+  {
+    regex: new RegExp(`\\b(${MONTH_NAMES})\\.?\\s+(0?[1-9]|[12]\\d|3[01])(?:st|nd|rd|th)?,?\\s+(20\\d{2})\\b`, "gi"),
+    order: ["month", "day", "year"]
+  }
+];
+
+const DEADLINE_CONTEXT = /deadline|closing|\bclose[sd]?\b|\bdue\b|submi(?:t|ssion)|cut-?off/;
+const OPENING_CONTEXT = /\bopen(?:s|ing|ed)?\b|\blaunch|\bpublished\b|\bstart/;
+const OPENS_CONTEXT = /\bopen(?:s|ing)?\b|\blaunch(?:es)?\b|available from|accepting applications from/;
+const DEADLINE_STAGES = [
+  { stage: "registration", pattern: /registration|register|intent to submit|notice of intent/ },
+  { stage: "outline", pattern: /outline|expression of interest|\beoi\b|pre-?proposal|preliminary|(?:stage|phase) (?:1|one)\b|first stage/ },
+  { stage: "full", pattern: /full (?:proposal|application)|invited (?:proposal|application)s?|(?:stage|phase) (?:2|two)\b|second stage/ },
+  { stage: "round", pattern: /\bround\s*\d+|cut-?off/ }
+];
+const STAGE_LABELS = {
+  registration: "Registration deadline",
+  outline: "Outline proposal deadline",
+  full: "Full proposal deadline",
+  round: "Round cut-off",
+  final: "Closing date",
+  rolling: "Rolling deadline"
+};
+const ROLLING_PATTERN =
+  /rolling (?:deadline|basis|call|applications?)|open-ended call|no (?:fixed )?(?:closing date|deadline)|accepted at any time/i;
+const TIME_PATTERN = /\b(?:(\d{1,2})([:.])(\d{2})\s*(am|pm)?|(\d{1,2})\s*(am|pm)|(noon|midday|midnight))\b/gi;
+const TIME_CUE_BEFORE = /\bat\s*$/i;
+const TIME_CUE_AFTER = /^\s*(?:uk time|london time|bst|gmt|utc|cet|cest|brussels)\b/i;
+const AMOUNT_BEFORE = /[£$€]\s*$/;
+const AMOUNT_AFTER = /^\s*(?:million|billion|bn|m|k)\b/i;
+const TIMEZONE_PATTERN = /\b(uk time|london time|bst|gmt|utc|cet|cest|brussels (?:local )?time)\b/i;
+const TIMEZONES = {
+  "uk time": "Europe/London",
+  "london time": "Europe/London",
+  bst: "Europe/London",
+  gmt: "Europe/London",
+  utc: "UTC",
+  cet: "Europe/Brussels",
+  cest: "Europe/Brussels",
+  "brussels time": "Europe/Brussels",
+  "brussels local time": "Europe/Brussels"
+};
+
+function findDateMentions(text) {
+  const mentions = [];
+  for (const { regex, order } of DATE_MENTION_PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const parts = {};
+      order.forEach((key, index) => {
+        parts[key] = match[index + 1];
+      });
+      const month = /^\d+$/.test(parts.month) ? Number(parts.month) : MONTHS[parts.month.toLowerCase()];
+      const date = month ? toIsoDate(Number(parts.year), month, Number(parts.day)) : null;
+      if (date) mentions.push({ index: match.index, end: match.index + match[0].length, date });
+    }
+  }
+
+  mentions.sort((a, b) => a.index - b.index);
+  return mentions.filter((mention, i) => i === 0 || mention.index >= mentions[i - 1].end);
+}
+
+// Numbers next to a currency sign or "million"/"k" are amounts. "16.00" reads as a time only with am/pm,
+// "at" before it or a timezone after it, since "1.25" is far more often part of an amount.
+function isTimeMention(text, match) {
+  const before = text.slice(0, match.index);
+  const after = text.slice(match.index + match[0].length);
+  if (AMOUNT_BEFORE.test(before) || AMOUNT_AFTER.test(after)) return false;
+  if (match[2] !== ".") return true;
+  return Boolean(match[4]) || TIME_CUE_BEFORE.test(before) || TIME_CUE_AFTER.test(after);
+}
+
+function parseTimeOfDay(text) {
+  const match = [...text.matchAll(TIME_PATTERN)].find((candidate) => isTimeMention(text, candidate));
+  if (!match) return null;
+  if (match[7]) return match[7].toLowerCase() === "midnight" ? "23:59" : "12:00";
+
+  let hours = Number(match[1] ?? match[5]);
+  const minutes = Number(match[3] ?? 0);
+  const meridiem = (match[4] || match[6] || "").toLowerCase();
+  if (meridiem === "pm" && hours < 12) hours += 12;
+  if (meridiem === "am" && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+// Time of day and timezone written next to a date ("16:00 UK time", "4pm BST"), preferring text after it.
+function timeAroundMention(normalized, mention, before, nextIndex = Infinity) {
+  const after = normalized.slice(mention.end, Math.min(mention.end + 40, nextIndex));
+  const time = parseTimeOfDay(after) ?? parseTimeOfDay(before.slice(-25));
+  const zone = `${before.slice(-25)} ${after}`.match(TIMEZONE_PATTERN);
+  return { time, timezone: zone ? TIMEZONES[zone[1].toLowerCase()] : null };
+}
+
+// Like parseDateFromText, plus the time of day (HH:MM) and IANA timezone written next to the date.
+// Either is null when the text does not state it.
+export function parseDateTimeFromText(text) {
+  const date = parseDateFromText(text);
+  if (!date) return null;
+
+  const normalized = String(text).replace(/\s+/g, " ");
+  const mention = findDateMentions(normalized).find((entry) => entry.date === date);
+  if (!mention) return { date, time: null, timezone: null };
+  return { date, ...timeAroundMention(normalized, mention, normalized.slice(Math.max(0, mention.index - 25), mention.index)) };
+}
+
+// Finds every deadline-like date in the text and labels its stage from the words between it and the
+// previous date, so "Outline: 3 March 2026. Full proposal: 9 June 2026" yields two entries.
+// Opening/publication dates are skipped. Sorted by date; rolling calls get one undated entry.
+export function extractDeadlines(text) {
+  if (!text) return [];
+  const normalized = text.replace(/\s+/g, " ");
+  const mentions = findDateMentions(normalized);
+  const deadlines = [];
+  const seen = new Set();
+
+  mentions.forEach((mention, i) => {
+    const contextStart = Math.max(i > 0 ? mentions[i - 1].end : 0, mention.index - 90);
+    const context = normalized.slice(contextStart, mention.index).toLowerCase();
+    const stageMatch = DEADLINE_STAGES.find(({ pattern }) => pattern.test(context));
+    const isDeadline = DEADLINE_CONTEXT.test(context) || Boolean(stageMatch);
+    if (!isDeadline || (OPENING_CONTEXT.test(context) && !DEADLINE_CONTEXT.test(context))) return;
+
+    const stage = stageMatch?.stage || "final";
+    const key = `${stage}|${mention.date}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const { time, timezone } = timeAroundMention(normalized, mention, context, mentions[i + 1]?.index);
+    const round = stage === "round" ? context.match(/\bround\s*(\d+)/)?.[1] : null;
+
+    deadlines.push({
+      label: round ? `Round ${round} cut-off` : STAGE_LABELS[stage],
+      date: mention.date,
+      time,
+      timezone,
+      stage
+    });
+  });
+
+  deadlines.sort((a, b) => a.date.localeCompare(b.date));
+  if (ROLLING_PATTERN.test(normalized)) {
+    deadlines.push({ label: STAGE_LABELS.rolling, date: null, time: null, timezone: null, stage: "rolling" });
+  }
+  return deadlines;
+}
+
+// Date a call opens for applications ("Opening date: 2 March 2026 9:00am"), read like a deadline stage but
+// from opening words; a date that also sits next to closing words is left to extractDeadlines.
+export function extractOpeningDate(text) {
+  if (!text) return null;
+  const normalized = text.replace(/\s+/g, " ");
+  const mentions = findDateMentions(normalized);
+
+  for (let i = 0; i < mentions.length; i += 1) {
+    const mention = mentions[i];
+    const contextStart = Math.max(i > 0 ? mentions[i - 1].end : 0, mention.index - 90);
+    const context = normalized.slice(contextStart, mention.index).toLowerCase();
+    if (!OPENS_CONTEXT.test(context) || DEADLINE_CONTEXT.test(context)) continue;
+    return { date: mention.date, ...timeAroundMention(normalized, mention, context, mentions[i + 1]?.index) };
+  }
+  return null;
+}
+
+export function extractAmount(text) {
+  if (!text) return null;
+  return parseAmount(text)?.raw || null;
+}
+
+// Structured amount for an item: the resolved `amount` string when there is one (it may come from an
+// adapter or structured data), else the first amount in the page text. FEC rates are read from the page text.
+export function extractAmountDetails(amount, text = "") {
+  const normalized = String(text || "").replace(/\s+/g, " ");
+  const at = amount ? normalized.indexOf(amount) : -1;
+  const details = parseAmount(amount || normalized, { context: at > 0 ? normalized.slice(Math.max(0, at - 30), at) : "" });
+  if (!details) return null;
+  return { ...details, fecPercent: details.fecPercent ?? parseFecPercent(text) };
+}
+
+export function pickFirstNonEmpty(...values) {
+  for (const v of values) {
+    if (typeof v === "string" && v.trim()) return normalizeWhitespace(v.trim());
+  }
+  return "";
+}
+
+export function extractDefinitionList(html) {
+  const fields = {};
+  const regex = /<dt\b[^>]*>([\s\S]*?)<\/dt>\s*<dd\b[^>]*>([\s\S]*?)<\/dd>/gi;
+  let match;
+
+  while ((match = regex.exec(html)) !== null) {
+    const label = normalizeWhitespace(decodeHtmlEntities(stripHtml(match[1])))
+      .replace(/:$/, "")
+      .toLowerCase();
+    const value = normalizeWhitespace(decodeHtmlEntities(stripHtml(match[2])));
+    if (label && value && !(label in fields)) fields[label] = value;
+  }
+
+  return fields;
+}
+
+export function dedupeLinks(links) {
+  const dedup = new Map();
+  for (const link of links) {
+    if (!link.url.startsWith("http")) continue;
+    const prev = dedup.get(link.url);
+    if (!prev || link.text.length > prev.text.length) {
+      dedup.set(link.url, link);
+    }
+  }
+  return [...dedup.values()];
+}
+
+const STRUCTURED_TYPES = ["grant", "monetarygrant", "event"];
+const DEADLINE_PROPERTIES = ["applicationDeadline", "validThrough", "endDate", "expires"];
+const CURRENCY_SYMBOLS = { GBP: "£", EUR: "€", USD: "$" };
+
+function parseAttributes(tag) {
+  const attrs = {};
+  const regex = /([a-z:_-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+  let match;
+  while ((match = regex.exec(tag)) !== null) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? "";
+  }
+  return attrs;
+}
+
+// Collects <meta property|name|itemprop="..." content="..."> values, first occurrence wins.
+export function extractMetaTags(html) {
+  const tags = new Map();
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    const attrs = parseAttributes(tag);
+    const key = String(attrs.property || attrs.name || attrs.itemprop || "").toLowerCase();
+    if (!key || !("content" in attrs) || tags.has(key)) continue;
+    tags.set(key, normalizeWhitespace(decodeHtmlEntities(attrs.content)));
+  }
+  return tags;
+}
+
+function readJsonLdNodes(html) {
+  const nodes = [];
+  const regex = /<script\b[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = regex.exec(html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(match[1].trim());
+    } catch {
+      continue;
+    }
+
+    const queue = [data];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (Array.isArray(node)) {
+        queue.push(...node);
+        continue;
+      }
+      if (!node || typeof node !== "object") continue;
+      nodes.push(node);
+      if (node["@graph"]) queue.push(node["@graph"]);
+    }
+  }
+
+  return nodes;
+}
+
+function nodeTypes(node) {
+  const types = Array.isArray(node["@type"]) ? node["@type"] : [node["@type"]];
+  return types.map((type) => String(type || "").toLowerCase());
+}
+
+function cleanStructuredText(value) {
+  if (typeof value !== "string") return "";
+  return normalizeWhitespace(decodeHtmlEntities(stripHtml(value)));
+}
+
+// ISO dates, or datetimes with an explicit offset which are converted to UK wall-clock time.
+function parseStructuredDate(value) {
+  const text = String(value || "").trim();
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const instant = Date.parse(text);
+    if (!Number.isNaN(instant)) return { ...utcMsToZonedTime(instant, DEFAULT_DEADLINE_TIMEZONE), timezone: DEFAULT_DEADLINE_TIMEZONE };
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const date = iso ? toIsoDate(Number(iso[1]), Number(iso[2]), Number(iso[3])) : parseDateFromText(text);
+  return date ? { date, time: null, timezone: null } : null;
+}
+
+function formatMonetaryAmount(amount) {
+  const entry = Array.isArray(amount) ? amount[0] : amount;
+  if (!entry || typeof entry !== "object") return null;
+
+  const currency = String(entry.currency || "").toUpperCase();
+  const format = (value) => {
+    const formatted = value.toLocaleString("en-GB");
+    return CURRENCY_SYMBOLS[currency] ? `${CURRENCY_SYMBOLS[currency]}${formatted}` : `${currency} ${formatted}`.trim();
+  };
+
+  const min = Number(entry.minValue);
+  const max = Number(entry.maxValue);
+  if (entry.value === undefined && min > 0 && max > min) return `${format(min)} to ${format(max)}`;
+
+  const value = Number(entry.value ?? entry.maxValue ?? entry.minValue);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return format(value);
+}
+
+function stripSiteSuffix(title, siteName) {
+  if (!siteName) return title;
+  const suffix = new RegExp(`\\s+[|\\-–]\\s+${siteName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i");
+  return title.replace(suffix, "");
+}
+
+function sameTitle(name, pageTitle) {
+  const a = name.toLowerCase();
+  const b = pageTitle.toLowerCase();
+  return Boolean(a) && (a === b || [" | ", " - ", " – "].some((separator) => b.startsWith(`${a}${separator}`)));
+}
+
+// Funding pages often also describe a webinar or info day as an Event. An Event only counts when it is the
+// page's main entity or carries the page's title; otherwise its name and endDate would stand in for the call's.
+function isPageEvent(node, nodes, pageTitles) {
+  if (node.mainEntityOfPage) return true;
+  const id = node["@id"];
+  if (id && nodes.some((other) => other.mainEntity === id || other.mainEntity?.["@id"] === id)) return true;
+  const name = cleanStructuredText(node.name || node.headline);
+  return pageTitles.some((title) => sameTitle(name, title));
+}
+
+// Reads JSON-LD (Grant, MonetaryGrant, and an Event that is the page's subject), microdata <meta itemprop>
+// and OpenGraph tags.
+// `sources` names where each field came from so callers can tell structured values from regex guesses.
+export function extractStructuredData(html) {
+  const fields = {};
+  const sources = {};
+  const set = (field, value, origin) => {
+    if (!value || fields[field]) return;
+    fields[field] = value;
+    sources[field] = origin;
+  };
+
+  const setDeadline = (parsed, origin) => {
+    if (!parsed || fields.deadline) return;
+    set("deadline", parsed.date, origin);
+    if (parsed.time) {
+      fields.deadlineTime = parsed.time;
+      fields.deadlineTimezone = parsed.timezone;
+    }
+  };
+
+  const meta = extractMetaTags(html);
+  const pageTitles = [extractTitle(html), stripSiteSuffix(meta.get("og:title") || "", meta.get("og:site_name"))];
+  const allNodes = readJsonLdNodes(html);
+  const nodes = allNodes.filter((node) => {
+    const types = nodeTypes(node);
+    if (types.includes("event") && !types.includes("grant") && !types.includes("monetarygrant")) {
+      return isPageEvent(node, allNodes, pageTitles);
+    }
+    return types.some((type) => STRUCTURED_TYPES.includes(type));
+  });
+  for (const node of nodes) {
+    set("title", cleanStructuredText(node.name || node.headline), "json-ld");
+    set("description", cleanStructuredText(node.description), "json-ld");
+    for (const property of DEADLINE_PROPERTIES) {
+      setDeadline(parseStructuredDate(node[property]), "json-ld");
+    }
+    set("amount", formatMonetaryAmount(node.amount), "json-ld");
+  }
+
+  for (const property of DEADLINE_PROPERTIES) {
+    setDeadline(parseStructuredDate(meta.get(property.toLowerCase())), "microdata");
+  }
+  set("title", stripSiteSuffix(meta.get("og:title") || "", meta.get("og:site_name")), "opengraph");
+  set("description", meta.get("og:description") || "", "opengraph");
+
+  return { fields, sources };
+}
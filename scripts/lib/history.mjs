@@ -0,0 +1,350 @@
+import { mkdir, readdir, readFile, unlink, writeFile } from "fs/promises";
+import path from "path";
+
+import { detectChanges } from "./changelog.mjs";
+
+const SNAPSHOT_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const ARCHIVE_FILE = /^(\d{4}-\d{2}-\d{2})(\.delta)?\.json$/;
+const STALE_SOURCE_TYPES = new Set(["carried_forward", "fallback"]);
+const DAY_MS = 24 * 3600 * 1000;
+export const ARCHIVE_DIR = "archive";
+export const DELTA_FORMAT = "granthunter-history-delta/1";
+
+export function listSnapshotFiles(files) {
+  return files.filter((file) => SNAPSHOT_FILE.test(file)).sort();
+}
+
+async function listArchiveFiles(historyDir) {
+  try {
+    return (await readdir(path.join(historyDir, ARCHIVE_DIR))).filter((file) => ARCHIVE_FILE.test(file));
+  } catch {
+    return [];
+  }
+}
+
+// Every stored snapshot, oldest first. Recent days are full copies in historyDir ("full"); older ones live in
+// archive/ as a compacted full copy ("keyframe") or as a delta against its month's keyframe ("delta").
+export async function listHistoryFiles(historyDir) {
+  const entries = listSnapshotFiles(await readdir(historyDir)).map((file) => ({
+    file,
+    date: file.match(SNAPSHOT_FILE)[1],
+    format: "full"
+  }));
+  for (const name of await listArchiveFiles(historyDir)) {
+    const [, date, delta] = name.match(ARCHIVE_FILE);
+    entries.push({ file: `${ARCHIVE_DIR}/${name}`, date, format: delta ? "delta" : "keyframe" });
+  }
+  return entries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Archived snapshots drop what only matters on the day: run diagnostics and the digest body.
+export function compactSnapshot(snapshot) {
+  const { diagnostics, digest, ...rest } = snapshot || {};
+  return digest ? { ...rest, digest: { subject: digest.subject, stats: digest.stats } } : rest;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Item-level delta from `base` (a keyframe, stored at baseFile) to `target`. Changed items carry only the
+// top-level fields that differ; `order` restores the target's item order.
+export function diffSnapshot(base, target, baseFile) {
+  const { items = [], ...meta } = compactSnapshot(target);
+  const before = new Map((base?.items || []).map((item) => [item.id, item]));
+  const current = new Set(items.map((item) => item.id));
+  const added = [];
+  const changed = [];
+
+  for (const item of items) {
+    const previous = before.get(item.id);
+    if (!previous) {
+      added.push(item);
+      continue;
+    }
+    const set = Object.fromEntries(Object.entries(item).filter(([key, value]) => !sameValue(previous[key], value)));
+    const unset = Object.keys(previous).filter((key) => !(key in item));
+    if (Object.keys(set).length > 0 || unset.length > 0) changed.push({ id: item.id, set, unset });
+  }
+
+  return {
+    format: DELTA_FORMAT,
+    base: baseFile,
+    snapshot: meta,
+    order: items.map((item) => item.id),
+    added,
+    removed: [...before.keys()].filter((id) => !current.has(id)),
+    changed
+  };
+}
+
+export function applySnapshotDelta(base, delta) {
+  const byId = new Map((base?.items || []).map((item) => [item.id, item]));
+  for (const item of delta.added || []) byId.set(item.id, item);
+  for (const { id, set = {}, unset = [] } of delta.changed || []) {
+    const item = { ...byId.get(id), ...set };
+    for (const key of unset) delete item[key];
+    byId.set(id, item);
+  }
+  return { ...delta.snapshot, items: (delta.order || []).map((id) => byId.get(id)).filter(Boolean) };
+}
+
+// Reads any file listed by listHistoryFiles as a full snapshot. Pass the same `keyframes` map across calls
+// to read each keyframe once.
+export async function readHistorySnapshot(historyDir, file, keyframes = new Map()) {
+  const data = JSON.parse(await readFile(path.join(historyDir, file), "utf8"));
+  if (data?.format !== DELTA_FORMAT) return data;
+  if (!keyframes.has(data.base)) {
+    keyframes.set(data.base, JSON.parse(await readFile(path.join(historyDir, data.base), "utf8")));
+  }
+  return applySnapshotDelta(keyframes.get(data.base), data);
+}
+
+function dayNumber(date) {
+  return Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+function monthNumber(date) {
+  return Number(date.slice(0, 4)) * 12 + Number(date.slice(5, 7)) - 1;
+}
+
+// Monday of the ISO week, as a day number.
+function weekNumber(date) {
+  const day = dayNumber(date);
+  return day - ((new Date(day * DAY_MS).getUTCDay() + 6) % 7);
+}
+
+// Tier for each snapshot date, or null when it should be deleted:
+// - "daily": younger than dailyDays
+// - "monthly": the earliest snapshot of its month, within monthlyMonths (0 keeps every month)
+// - "weekly": the earliest snapshot of its week, within weeklyWeeks after the daily window
+// Earliest-of-period is taken over the dates that exist, so a kept snapshot stays kept on later runs.
+export function planRetention(dates, { today = null, dailyDays = 30, weeklyWeeks = 26, monthlyMonths = 0 } = {}) {
+  const sorted = [...new Set(dates)].sort();
+  const firstOfWeek = new Map();
+  const firstOfMonth = new Map();
+  for (const date of sorted) {
+    if (!firstOfWeek.has(weekNumber(date))) firstOfWeek.set(weekNumber(date), date);
+    if (!firstOfMonth.has(date.slice(0, 7))) firstOfMonth.set(date.slice(0, 7), date);
+  }
+
+  const reference = today || sorted.at(-1);
+  const plan = new Map();
+  for (const date of sorted) {
+    const age = dayNumber(reference) - dayNumber(date);
+    let tier = null;
+    if (age < dailyDays) {
+      tier = "daily";
+    } else if (
+      firstOfMonth.get(date.slice(0, 7)) === date &&
+      (monthlyMonths <= 0 || monthNumber(reference) - monthNumber(date) < monthlyMonths)
+    ) {
+      tier = "monthly";
+    } else if (firstOfWeek.get(weekNumber(date)) === date && age < dailyDays + weeklyWeeks * 7) {
+      tier = "weekly";
+    }
+    plan.set(date, tier);
+  }
+  return plan;
+}
+
+async function archiveSnapshot(historyDir, date, snapshot) {
+  const keyframe = (await listHistoryFiles(historyDir)).find(
+    (entry) => entry.format === "keyframe" && entry.date.slice(0, 7) === date.slice(0, 7) && entry.date < date
+  );
+  await mkdir(path.join(historyDir, ARCHIVE_DIR), { recursive: true });
+
+  if (!keyframe) {
+    const file = `${ARCHIVE_DIR}/${date}.json`;
+    await writeFile(path.join(historyDir, file), `${JSON.stringify(compactSnapshot(snapshot))}\n`, "utf8");
+    return file;
+  }
+
+  const base = JSON.parse(await readFile(path.join(historyDir, keyframe.file), "utf8"));
+  const file = `${ARCHIVE_DIR}/${date}.delta.json`;
+  const delta = diffSnapshot(base, snapshot, keyframe.file);
+  await writeFile(path.join(historyDir, file), `${JSON.stringify(delta)}\n`, "utf8");
+  return file;
+}
+
+// Applies the retention policy. Full daily copies that age out are archived (the first of a month as a
+// keyframe, others as deltas against it) or deleted; archived snapshots past retention are deleted, except
+// keyframes a kept delta still reads from.
+export async function compactHistory(historyDir, retention = {}) {
+  const files = await listHistoryFiles(historyDir);
+  const plan = planRetention(files.map((entry) => entry.date), retention);
+  const archived = [];
+  const removed = [];
+
+  for (const entry of files) {
+    const tier = plan.get(entry.date);
+    if (entry.format !== "full" || tier === "daily") continue;
+    if (tier) {
+      const snapshot = JSON.parse(await readFile(path.join(historyDir, entry.file), "utf8"));
+      archived.push(await archiveSnapshot(historyDir, entry.date, snapshot));
+    } else {
+      removed.push(entry.file);
+    }
+    await unlink(path.join(historyDir, entry.file));
+  }
+
+  const remaining = await listHistoryFiles(historyDir);
+  const keptDeltaMonths = new Set(
+    remaining.filter((entry) => entry.format === "delta" && plan.get(entry.date)).map((entry) => entry.date.slice(0, 7))
+  );
+  for (const entry of remaining) {
+    if (entry.format === "full" || plan.get(entry.date)) continue;
+    if (entry.format === "keyframe" && keptDeltaMonths.has(entry.date.slice(0, 7))) continue;
+    await unlink(path.join(historyDir, entry.file));
+    removed.push(entry.file);
+  }
+
+  return { archived, removed };
+}
+
+// Per-source counts for one history snapshot. "fresh" excludes carried-forward and fallback items,
+// so a source only counts as crawled on days it actually produced something.
+export function summarizeSnapshot(snapshot) {
+  const sources = {};
+  for (const source of snapshot?.sources || []) {
+    sources[source.id] = { items: 0, fresh: 0, urlChecked: 0, urlReachable: 0 };
+  }
+
+  for (const item of snapshot?.items || []) {
+    const entry = (sources[item.sourceId] ||= { items: 0, fresh: 0, urlChecked: 0, urlReachable: 0 });
+    entry.items += 1;
+    if (!STALE_SOURCE_TYPES.has(item.rawSignals?.sourceType)) entry.fresh += 1;
+
+    const status = String(item.urlCheck?.status || "");
+    if (status && status !== "skipped") {
+      entry.urlChecked += 1;
+      if (status.startsWith("reachable")) entry.urlReachable += 1;
+    }
+  }
+
+  return {
+    date: snapshot?.generatedDate || String(snapshot?.generatedAt || "").slice(0, 10),
+    generatedAt: snapshot?.generatedAt || null,
+    itemCount: (snapshot?.items || []).length,
+    sources
+  };
+}
+
+// Manifest of every stored snapshot (history/index.json) with per-source counts. Entries from previousIndex
+// are reused except for `refreshDate`, whose snapshot may have been rewritten by a same-day rerun. With a
+// retention policy, each entry also gets its tier and the policy is included.
+export async function buildHistoryIndex(
+  historyDir,
+  { previousIndex = null, refreshDate = null, retention = null } = {}
+) {
+  const previousByFile = new Map((previousIndex?.snapshots || []).map((entry) => [entry.file, entry]));
+  const files = await listHistoryFiles(historyDir);
+  const plan = retention ? planRetention(files.map((entry) => entry.date), retention) : null;
+  const keyframes = new Map();
+  const snapshots = [];
+
+  for (const { file, date, format } of files) {
+    const location = { file, format, ...(plan ? { tier: plan.get(date) } : {}) };
+    const cached = previousByFile.get(file);
+    if (cached && date !== refreshDate) {
+      snapshots.push({ ...cached, ...location });
+      continue;
+    }
+
+    try {
+      const snapshot = await readHistorySnapshot(historyDir, file, keyframes);
+      snapshots.push({ ...location, ...summarizeSnapshot(snapshot), date });
+    } catch {
+      // Unreadable snapshots are left out of the index rather than failing the run.
+    }
+  }
+
+  return retention ? { retention, snapshots } : { snapshots };
+}
+
+function slimItem(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    url: item.url,
+    sourceId: item.sourceId,
+    sourceName: item.sourceName,
+    status: item.status,
+    opensAt: item.opensAt ?? null,
+    deadline: item.deadline ?? null,
+    amount: item.amount ?? null,
+    amountDetails: item.amountDetails ?? null
+  };
+}
+
+// Lifecycle of every item across dated snapshots (oldest first): when it was first seen, each tracked
+// field change between consecutive appearances, when it dropped off its source and when it came back.
+export function buildItemTimelines(snapshots) {
+  const timelines = {};
+  const lastVersion = new Map();
+
+  for (const snapshot of snapshots) {
+    const { date } = snapshot;
+    const present = new Set();
+
+    for (const raw of snapshot.items || []) {
+      const item = slimItem(raw);
+      if (!item.id || present.has(item.id)) continue;
+      present.add(item.id);
+
+      const timeline = timelines[item.id];
+      if (!timeline) {
+        const deadline = item.deadline ? `, deadline ${item.deadline}` : "";
+        timelines[item.id] = {
+          title: item.title,
+          url: item.url,
+          sourceName: item.sourceName,
+          firstSeen: date,
+          lastSeen: date,
+          droppedOn: null,
+          events: [{ date, type: "first_seen", note: `First seen (${item.status || "unknown"}${deadline})` }]
+        };
+      } else {
+        if (timeline.droppedOn) {
+          timeline.events.push({ date, type: "reappeared", note: "Listed again" });
+          timeline.droppedOn = null;
+        }
+        for (const { field, from, to, note } of detectChanges(lastVersion.get(item.id), item, date)) {
+          timeline.events.push({ date, type: "change", field, from, to, note });
+        }
+        Object.assign(timeline, { title: item.title, url: item.url, sourceName: item.sourceName, lastSeen: date });
+      }
+      lastVersion.set(item.id, item);
+    }
+
+    for (const [id, timeline] of Object.entries(timelines)) {
+      if (present.has(id) || timeline.droppedOn) continue;
+      timeline.droppedOn = date;
+      timeline.events.push({ date, type: "dropped", note: "No longer listed by the source" });
+    }
+  }
+
+  return timelines;
+}
+
+// Reads every stored snapshot (daily and archived), one at a time, and builds the per-item timeline index
+// the site's detail view loads (history/items.json).
+export async function buildItemTimelineIndex(historyDir) {
+  const keyframes = new Map();
+  const snapshots = [];
+
+  for (const { file, date } of await listHistoryFiles(historyDir)) {
+    try {
+      const snapshot = await readHistorySnapshot(historyDir, file, keyframes);
+      snapshots.push({ date, items: (snapshot.items || []).map(slimItem) });
+    } catch {
+      // Same as buildHistoryIndex: skip unreadable snapshots.
+    }
+  }
+
+  return {
+    firstDate: snapshots[0]?.date || null,
+    lastDate: snapshots.at(-1)?.date || null,
+    items: buildItemTimelines(snapshots)
+  };
+}
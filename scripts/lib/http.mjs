@@ -0,0 +1,437 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { createHash } from "crypto";
+import { mkdir, readFile, readdir, unlink, writeFile } from "fs/promises";
+import path from "path";
+
+import { canonicalizeUrl } from "./extract.mjs";
+import { createPool } from "./pool.mjs";
+import { isPathAllowed, parseRobotsTxt } from "./robots.mjs";
+
+const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS || 22000);
+const URL_CHECK_TIMEOUT_MS = Number(process.env.URL_CHECK_TIMEOUT_MS || 15000);
+const USER_AGENT = "Mozilla/5.0 (compatible; UKFundingHubBot/1.0; +https://github.com/)";
+const ROBOTS_AGENT = "UKFundingHubBot";
+const KEPT_HEADERS = ["content-type", "etag", "last-modified"];
+const FIXTURE_MANIFEST = "manifest.json";
+const HTTP_CACHE_INDEX = "index.json";
+const HTTP_CACHE_MAX_AGE_DAYS = Number(process.env.HTTP_CACHE_MAX_AGE_DAYS || 30);
+const HOST_CONCURRENCY = Math.max(1, Number(process.env.HOST_CONCURRENCY || 2));
+const HOST_MIN_INTERVAL_MS = Number(process.env.HOST_MIN_INTERVAL_MS || 1000);
+const MAX_CRAWL_DELAY_MS = Number(process.env.MAX_CRAWL_DELAY_MS || 30000);
+
+// Record/replay state: null for live traffic, otherwise { mode: "record" | "replay", dir }.
+let fixtures = null;
+
+// Conditional-request cache state: null when disabled, otherwise { dir, entries, stats }.
+let httpCache = null;
+
+// Per-host politeness state: host -> { active, waiting, nextAt, intervalMs, crawlDelay }.
+const hosts = new Map();
+
+// Set while a crawl-pool task runs: { host, used }. Its request start was booked when the pool dequeued it.
+const hostBooking = new AsyncLocalStorage();
+
+// Parsed robots.txt per origin (a promise, so concurrent requests share one fetch). null means "allow all".
+const robotsByOrigin = new Map();
+
+function sha1(input) {
+  return createHash("sha1").update(String(input)).digest("hex");
+}
+
+export function fixtureFileName(method, url) {
+  return `${sha1(`${method.toUpperCase()} ${url}`)}.json`;
+}
+
+export async function writeFixture(dir, entry) {
+  await mkdir(dir, { recursive: true });
+  const file = path.join(dir, fixtureFileName(entry.method, entry.url));
+  await writeFile(file, `${JSON.stringify(entry, null, 2)}\n`, "utf8");
+}
+
+async function readFixture(dir, method, url) {
+  try {
+    const raw = await readFile(path.join(dir, fixtureFileName(method, url)), "utf8");
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// Sets up --record/--replay. Returns the fixture manifest so replay runs can reuse the recording clock.
+export async function configureFixtures({ record = "", replay = "" } = {}) {
+  if (record && replay) {
+    throw new Error("--record and --replay cannot be used together");
+  }
+
+  if (record) {
+    fixtures = { mode: "record", dir: record };
+    const manifest = { recordedAt: new Date().toISOString() };
+    await mkdir(record, { recursive: true });
+    await writeFile(path.join(record, FIXTURE_MANIFEST), `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+    return manifest;
+  }
+
+  if (replay) {
+    fixtures = { mode: "replay", dir: replay };
+    try {
+      return JSON.parse(await readFile(path.join(replay, FIXTURE_MANIFEST), "utf8"));
+    } catch {
+      return {};
+    }
+  }
+
+  fixtures = null;
+  return null;
+}
+
+export function isReplayMode() {
+  return fixtures?.mode === "replay";
+}
+
+function toResponse(entry) {
+  return {
+    ok: entry.status >= 200 && entry.status < 300,
+    status: entry.status,
+    url: entry.finalUrl || entry.url,
+    headers: new Headers(entry.headers || {}),
+    text: async () => entry.body || ""
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function hostState(host) {
+  if (!hosts.has(host)) {
+    hosts.set(host, { active: 0, waiting: [], nextAt: 0, intervalMs: HOST_MIN_INTERVAL_MS, crawlDelay: null });
+  }
+  return hosts.get(host);
+}
+
+// Waits for a free per-host slot (HOST_CONCURRENCY) and spaces request starts by the host's interval.
+// A crawl-pool task's first request to its host skips the spacing: the pool already booked that start.
+async function acquireHostSlot(host) {
+  const state = hostState(host);
+  while (state.active >= HOST_CONCURRENCY) {
+    await new Promise((resolve) => state.waiting.push(resolve));
+  }
+  state.active += 1;
+
+  const booking = hostBooking.getStore();
+  if (booking?.host === host && !booking.used) {
+    booking.used = true;
+    return;
+  }
+
+  const startAt = Math.max(Date.now(), state.nextAt);
+  state.nextAt = startAt + state.intervalMs;
+  if (startAt > Date.now()) await sleep(startAt - Date.now());
+}
+
+// Milliseconds until `host` may start its next request under its interval or Crawl-delay.
+function hostDelayMs(host) {
+  const state = hosts.get(host);
+  return state ? Math.max(0, state.nextAt - Date.now()) : 0;
+}
+
+function requestHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "";
+  }
+}
+
+// Books the host's next request start, as acquireHostSlot would, at the moment the pool hands out a worker.
+function bookHostStart(host) {
+  if (fixtures?.mode === "replay") return;
+  const state = hostState(host);
+  state.nextAt = Math.max(Date.now(), state.nextAt) + state.intervalMs;
+}
+
+// Shared crawl pool keyed by host. robots.txt is read before a task is queued, so each task makes one request,
+// whose start is booked when the task gets a worker. Tasks whose host is still waiting out its interval or
+// Crawl-delay stay queued without a worker, and at most HOST_CONCURRENCY workers go to one host, so a throttled
+// host does not stall the others. `pool.fetch(url, fetcher)` runs `fetcher(url)` in a worker.
+export function createCrawlPool(concurrency) {
+  const pool = createPool(concurrency, { perKey: HOST_CONCURRENCY, delayFor: hostDelayMs, onStart: bookHostStart });
+  return {
+    async fetch(url, fetcher) {
+      const host = requestHost(url);
+      if (host) await loadRobots(url);
+      return pool.run(() => hostBooking.run({ host, used: false }, () => fetcher(url)), { key: host });
+    }
+  };
+}
+
+function releaseHostSlot(host) {
+  const state = hostState(host);
+  state.active -= 1;
+  const next = state.waiting.shift();
+  if (next) next();
+}
+
+// All network traffic goes through here: fixtures, per-host politeness and recording.
+// Bodies are read while the host slot is held, so the concurrency cap covers the whole download.
+async function request(url, init = {}, { readBody = true, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const method = String(init.method || "GET").toUpperCase();
+
+  if (fixtures?.mode === "replay") {
+    const entry = await readFixture(fixtures.dir, method, url);
+    if (!entry) {
+      throw new Error(`No recorded response for ${method} ${url} (network disabled in replay mode)`);
+    }
+    return toResponse(entry);
+  }
+
+  const host = new URL(url).host;
+  await acquireHostSlot(host);
+  try {
+    // The timeout starts once the slot is granted so time spent queueing behind a crawl delay does not count.
+    const resp = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    const headers = {};
+    for (const name of KEPT_HEADERS) {
+      const value = resp.headers.get(name);
+      if (value) headers[name] = value;
+    }
+
+    let body = "";
+    if (method !== "HEAD" && readBody) {
+      body = await resp.text();
+    } else {
+      try {
+        await resp.body?.cancel();
+      } catch {
+        // ignore
+      }
+    }
+
+    const entry = { method, url, status: resp.status, finalUrl: resp.url || url, headers, body };
+    if (fixtures?.mode === "record") await writeFixture(fixtures.dir, entry);
+    return toResponse(entry);
+  } finally {
+    releaseHostSlot(host);
+  }
+}
+
+async function fetchRobots(origin) {
+  try {
+    const resp = await request(`${origin}/robots.txt`, {
+      headers: { "user-agent": USER_AGENT },
+      redirect: "follow"
+    });
+    if (!resp.ok) return null;
+
+    const robots = parseRobotsTxt(await resp.text(), ROBOTS_AGENT);
+    if (robots.crawlDelay !== null) {
+      const state = hostState(new URL(origin).host);
+      state.crawlDelay = robots.crawlDelay;
+      state.intervalMs = Math.max(HOST_MIN_INTERVAL_MS, Math.min(robots.crawlDelay * 1000, MAX_CRAWL_DELAY_MS));
+    }
+    return robots;
+  } catch {
+    // Unreachable robots.txt is treated like a missing one.
+    return null;
+  }
+}
+
+export function loadRobots(url) {
+  const origin = new URL(url).origin;
+  if (!robotsByOrigin.has(origin)) robotsByOrigin.set(origin, fetchRobots(origin));
+  return robotsByOrigin.get(origin);
+}
+
+export async function getRobotsSitemaps(url) {
+  const robots = await loadRobots(url);
+  return robots?.sitemaps || [];
+}
+
+export async function isAllowedByRobots(url) {
+  const robots = await loadRobots(url);
+  if (!robots) return true;
+  const u = new URL(url);
+  return isPathAllowed(robots, `${u.pathname}${u.search}`);
+}
+
+export function getPolitenessStats() {
+  const crawlDelays = {};
+  for (const [host, state] of hosts) {
+    if (state.crawlDelay !== null) crawlDelays[host] = state.crawlDelay;
+  }
+  return {
+    hostConcurrency: HOST_CONCURRENCY,
+    minIntervalMs: HOST_MIN_INTERVAL_MS,
+    hostsContacted: hosts.size,
+    crawlDelays
+  };
+}
+
+export async function openHttpCache(dir) {
+  let index = null;
+  try {
+    index = JSON.parse(await readFile(path.join(dir, HTTP_CACHE_INDEX), "utf8"));
+  } catch {
+    index = null;
+  }
+
+  httpCache = {
+    dir,
+    entries: index?.entries && typeof index.entries === "object" ? index.entries : {},
+    stats: { requests: 0, notModified: 0, unchanged: 0, changed: 0, uncached: 0 }
+  };
+}
+
+export function getHttpCacheStats() {
+  return httpCache ? { enabled: true, ...httpCache.stats } : { enabled: false };
+}
+
+// Bodies may be HTML, sitemap XML or anything else a source serves, so the file name carries no type.
+function cachedBodyFile(bodyHash) {
+  return `${bodyHash}.body`;
+}
+
+function cachedBodyPath(bodyHash) {
+  return path.join(httpCache.dir, "bodies", cachedBodyFile(bodyHash));
+}
+
+async function readCachedBody(entry) {
+  if (!entry?.bodyHash) return null;
+  try {
+    return await readFile(cachedBodyPath(entry.bodyHash), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+// Writes the cache index and drops entries (and their bodies) not revalidated within HTTP_CACHE_MAX_AGE_DAYS.
+export async function saveHttpCache() {
+  if (!httpCache) return;
+
+  const cutoff = Date.now() - HTTP_CACHE_MAX_AGE_DAYS * 24 * 3600 * 1000;
+  const entries = {};
+  for (const [url, entry] of Object.entries(httpCache.entries)) {
+    if (Date.parse(entry.checkedAt || "") >= cutoff) entries[url] = entry;
+  }
+
+  const liveBodies = new Set(Object.values(entries).map((entry) => cachedBodyFile(entry.bodyHash)));
+  await mkdir(path.join(httpCache.dir, "bodies"), { recursive: true });
+  for (const file of await readdir(path.join(httpCache.dir, "bodies"))) {
+    if (!liveBodies.has(file)) await unlink(path.join(httpCache.dir, "bodies", file));
+  }
+
+  await writeFile(
+    path.join(httpCache.dir, HTTP_CACHE_INDEX),
+    `${JSON.stringify({ version: 1, entries }, null, 2)}\n`,
+    "utf8"
+  );
+}
+
+// Fetches a page, revalidating against the HTTP cache when one is open.
+// `unchanged` is true when the body is byte-identical to the previous run (304 or same hash).
+export async function fetchPage(url) {
+  if (!(await isAllowedByRobots(url))) {
+    const error = new Error(`Disallowed by robots.txt: ${url}`);
+    error.code = "ROBOTS_DISALLOWED";
+    throw error;
+  }
+
+  const useCache = httpCache && !fixtures;
+  const entry = useCache ? httpCache.entries[url] : null;
+  const cachedBody = entry ? await readCachedBody(entry) : null;
+  const headers = { "user-agent": USER_AGENT };
+  if (cachedBody !== null) {
+    if (entry.etag) headers["if-none-match"] = entry.etag;
+    if (entry.lastModified) headers["if-modified-since"] = entry.lastModified;
+  }
+
+  const resp = await request(url, {
+    headers,
+    redirect: "follow"
+  });
+
+  if (useCache) httpCache.stats.requests += 1;
+
+  if (resp.status === 304 && cachedBody !== null) {
+    entry.checkedAt = new Date().toISOString();
+    httpCache.stats.notModified += 1;
+    return { body: cachedBody, bodyHash: entry.bodyHash, unchanged: true, notModified: true };
+  }
+
+  if (!resp.ok) {
+    const error = new Error(`HTTP ${resp.status}`);
+    error.status = resp.status;
+    throw error;
+  }
+
+  const body = await resp.text();
+  const bodyHash = sha1(body);
+  const unchanged = Boolean(entry && entry.bodyHash === bodyHash);
+
+  if (useCache) {
+    if (!entry) httpCache.stats.uncached += 1;
+    else if (unchanged) httpCache.stats.unchanged += 1;
+    else httpCache.stats.changed += 1;
+
+    await mkdir(path.join(httpCache.dir, "bodies"), { recursive: true });
+    await writeFile(cachedBodyPath(bodyHash), body, "utf8");
+    httpCache.entries[url] = {
+      etag: resp.headers.get("etag") || "",
+      lastModified: resp.headers.get("last-modified") || "",
+      bodyHash,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  return { body, bodyHash, unchanged, notModified: false };
+}
+
+export async function fetchText(url) {
+  const page = await fetchPage(url);
+  return page.body;
+}
+
+export async function fetchUrlMetadata(url) {
+  const requestHeaders = {
+    "user-agent": USER_AGENT
+  };
+
+  const headResp = await request(
+    url,
+    {
+      method: "HEAD",
+      headers: requestHeaders,
+      redirect: "follow"
+    },
+    { timeoutMs: URL_CHECK_TIMEOUT_MS }
+  );
+
+  // Some websites block HEAD; fallback to GET in those cases.
+  if ([403, 405, 429, 500, 501].includes(headResp.status)) {
+    const getResp = await request(
+      url,
+      {
+        method: "GET",
+        headers: requestHeaders,
+        redirect: "follow"
+      },
+      { readBody: false, timeoutMs: URL_CHECK_TIMEOUT_MS }
+    );
+
+    return {
+      ok: getResp.ok,
+      status: getResp.status,
+      finalUrl: canonicalizeUrl(getResp.url || url),
+      redirected: canonicalizeUrl(getResp.url || url) !== canonicalizeUrl(url),
+      contentType: (getResp.headers.get("content-type") || "").toLowerCase()
+    };
+  }
+
+  return {
+    ok: headResp.ok,
+    status: headResp.status,
+    finalUrl: canonicalizeUrl(headResp.url || url),
+    redirected: canonicalizeUrl(headResp.url || url) !== canonicalizeUrl(url),
+    contentType: (headResp.headers.get("content-type") || "").toLowerCase()
+  };
+}
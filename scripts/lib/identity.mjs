@@ -0,0 +1,136 @@
+import { canonicalizeUrl } from "./extract.mjs";
+
+// Funders often relabel or move a call without it becoming a new opportunity. Current items are matched
+// to the previous run so the original id (and with it digest "new" flags, summaries and history) survives.
+// Passes run from strongest to weakest evidence and each previous item is claimed at most once.
+
+const TITLE_PREFIX =
+  /^(?:funding opportunity|opportunity|call for proposals|call|competition|funding|grant|fellowship scheme)\s*[:\-–—|]\s*/i;
+const TITLE_STOPWORDS = new Set(["the", "a", "an", "of", "for", "and", "in", "on", "to", "with"]);
+export const TITLE_SIMILARITY_THRESHOLD = 0.8;
+const MAX_ALIASES = 10;
+
+export function normalizeTitle(title) {
+  return String(title || "")
+    .replace(TITLE_PREFIX, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function titleTokens(title) {
+  return normalizeTitle(title)
+    .split(" ")
+    .filter((token) => token && !TITLE_STOPWORDS.has(token))
+    .map((token) => (token.length > 3 ? token.replace(/s$/, "") : token));
+}
+
+// Dice coefficient over title words. Titles that carry different numbers (years, rounds) never match,
+// so "Fellowships 2026" does not inherit the identity of "Fellowships 2025".
+export function titleSimilarity(a, b) {
+  const left = new Set(titleTokens(a));
+  const right = new Set(titleTokens(b));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  const numbers = (tokens) => [...tokens].filter((token) => /\d/.test(token)).sort().join(" ");
+  if (numbers(left) !== numbers(right)) return 0;
+
+  const shared = [...left].filter((token) => right.has(token)).length;
+  return (2 * shared) / (left.size + right.size);
+}
+
+// Includes the URLs of other sources the item was merged from, so a different copy winning the merge
+// still resolves to the same identity.
+function urlKeys(item) {
+  return [item.url, item.urlCheck?.originalUrl, ...(item.listedBy || []).map((entry) => entry.url)]
+    .filter(Boolean)
+    .map((url) => canonicalizeUrl(url));
+}
+
+function redirectKeys(item) {
+  return [item.urlCheck?.finalUrl].filter(Boolean).map((url) => canonicalizeUrl(url));
+}
+
+function indexBy(items, keysOf) {
+  const map = new Map();
+  for (const item of items) {
+    for (const key of keysOf(item)) if (!map.has(key)) map.set(key, item);
+  }
+  return map;
+}
+
+// An alias keeps the title and URL the item was previously known by, plus the id the current title/URL
+// would have produced on its own.
+function withAlias(item, previous, matchedBy, recordedAt) {
+  const aliases = [...(previous.aliases || [])];
+  const changed =
+    item.id !== previous.id ||
+    canonicalizeUrl(item.url) !== canonicalizeUrl(previous.url) ||
+    normalizeTitle(item.title) !== normalizeTitle(previous.title);
+
+  if (changed && !aliases.some((alias) => alias.url === previous.url && alias.title === previous.title)) {
+    aliases.push({ id: item.id, title: previous.title, url: previous.url, matchedBy, recordedAt });
+  }
+
+  return { ...item, id: previous.id, aliases: aliases.slice(-MAX_ALIASES) };
+}
+
+// Returns the items with preserved ids plus one match record per item whose id was carried over from a
+// differently-keyed previous item. Unmatched items keep their own id and any aliases they already had.
+export function resolveIdentities(items, previousItems, { recordedAt = new Date().toISOString() } = {}) {
+  const unclaimed = new Map((previousItems || []).map((item) => [item.id, item]));
+  const resolved = new Array(items.length).fill(null);
+  const matches = [];
+
+  const claim = (index, previous, matchedBy) => {
+    unclaimed.delete(previous.id);
+    const item = items[index];
+    if (matchedBy === "id") {
+      resolved[index] = { ...item, aliases: item.aliases || previous.aliases || [] };
+      return;
+    }
+    resolved[index] = withAlias(item, previous, matchedBy, recordedAt);
+    matches.push({ id: previous.id, replacedId: item.id, matchedBy });
+  };
+
+  const pass = (matchedBy, findPrevious) => {
+    items.forEach((item, index) => {
+      if (resolved[index]) return;
+      const previous = findPrevious(item);
+      if (previous && unclaimed.has(previous.id)) claim(index, previous, matchedBy);
+    });
+  };
+
+  pass("id", (item) => unclaimed.get(item.id));
+
+  const byUrl = indexBy([...unclaimed.values()], urlKeys);
+  pass("url", (item) => urlKeys(item).map((key) => byUrl.get(key)).find((prev) => prev && unclaimed.has(prev.id)));
+
+  // A page that moved: the current URL (or its redirect target) is where a previous item ended up.
+  const byRedirect = indexBy([...unclaimed.values()], (item) => [...urlKeys(item), ...redirectKeys(item)]);
+  pass("redirect", (item) =>
+    [...urlKeys(item), ...redirectKeys(item)]
+      .map((key) => byRedirect.get(key))
+      .find((prev) => prev && unclaimed.has(prev.id))
+  );
+
+  pass("title", (item) => {
+    let best = null;
+    let bestScore = 0;
+    for (const previous of unclaimed.values()) {
+      if (previous.sourceId !== item.sourceId) continue;
+      const score = titleSimilarity(item.title, previous.title);
+      if (score >= TITLE_SIMILARITY_THRESHOLD && score > bestScore) {
+        best = previous;
+        bestScore = score;
+      }
+    }
+    return best;
+  });
+
+  return {
+    items: resolved.map((item, index) => item || { ...items[index], aliases: items[index].aliases || [] }),
+    matches
+  };
+}
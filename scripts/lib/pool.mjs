@@ -0,0 +1,77 @@
+// Bounded task pool: at most `concurrency` tasks run at once, in submission order.
+// Only leaf work (single fetches) should be submitted; a task that awaits other pool tasks can deadlock the pool.
+// A task may carry a `key` (e.g. its host): at most `perKey` tasks per key run at once, and while `delayFor(key)`
+// returns a wait in ms the task stays queued without a slot, so later tasks for other keys go first.
+// `onStart(key)` runs synchronously as a keyed task takes its slot, so it can update what `delayFor` returns
+// before the next task is picked.
+export function createPool(concurrency, { perKey = Infinity, delayFor = () => 0, onStart = () => {} } = {}) {
+  const limit = Math.max(1, Number(concurrency) || 1);
+  const queue = [];
+  const activeByKey = new Map();
+  let active = 0;
+  let timer = null;
+
+  // Index of the first task that may start now, or the shortest wait before one might.
+  function findReady() {
+    let wait = Infinity;
+    for (let index = 0; index < queue.length; index += 1) {
+      const { key } = queue[index];
+      if (key === undefined) return { index };
+      if ((activeByKey.get(key) || 0) >= perKey) continue;
+      const delay = delayFor(key);
+      if (!(delay > 0)) return { index };
+      wait = Math.min(wait, delay);
+    }
+    return { wait };
+  }
+
+  function start({ task, key, resolve, reject }) {
+    active += 1;
+    activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+    if (key !== undefined) onStart(key);
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        activeByKey.set(key, activeByKey.get(key) - 1);
+        next();
+      });
+  }
+
+  function next() {
+    clearTimeout(timer);
+    timer = null;
+    while (active < limit && queue.length > 0) {
+      const { index, wait } = findReady();
+      if (index === undefined) {
+        if (wait !== Infinity) timer = setTimeout(next, wait);
+        return;
+      }
+      start(queue.splice(index, 1)[0]);
+    }
+  }
+
+  return {
+    run(task, { key } = {}) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, key, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+// Like Promise.all over `items`, with at most `concurrency` calls in flight. Results keep input order.
+export function mapWithConcurrency(items, concurrency, fn) {
+  const pool = createPool(concurrency);
+  return Promise.all(items.map((item, index) => pool.run(() => fn(item, index))));
+}
+
+// Resolves to { value } or { error } so one failed task does not reject a whole batch.
+export function settle(promise) {
+  return promise.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+}
@@ -0,0 +1,83 @@
+// Minimal robots.txt support (RFC 9309): user-agent groups, Allow/Disallow with `*` and `$`, Crawl-delay, Sitemap.
+
+function matchesAgent(agentLine, userAgent) {
+  const agent = agentLine.toLowerCase();
+  return agent !== "*" && userAgent.toLowerCase().includes(agent);
+}
+
+export function parseRobotsTxt(text, userAgent) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const sep = line.indexOf(":");
+    if (sep <= 0) continue;
+
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === "user-agent") {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value);
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow means "allow everything" and adds no rule.
+      if (value) current.rules.push({ allow: field === "allow", pattern: value });
+    } else if (field === "crawl-delay") {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+
+  const specific = groups.filter((group) => group.agents.some((agent) => matchesAgent(agent, userAgent)));
+  const selected = specific.length > 0 ? specific : groups.filter((group) => group.agents.includes("*"));
+  const delays = selected.map((group) => group.crawlDelay).filter((x) => x !== null);
+
+  return {
+    rules: selected.flatMap((group) => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps
+  };
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+// Longest matching pattern wins; on a tie Allow wins. No matching rule means allowed.
+export function isPathAllowed(robots, pathWithQuery) {
+  let best = null;
+  for (const rule of robots?.rules || []) {
+    if (!patternToRegex(rule.pattern).test(pathWithQuery)) continue;
+    if (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.allow && !best.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
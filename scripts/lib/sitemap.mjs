@@ -0,0 +1,56 @@
+import { decodeHtmlEntities, normalizeWhitespace } from "./extract.mjs";
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function readTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, "i"));
+  if (!match?.[1]) return "";
+  return normalizeWhitespace(decodeHtmlEntities(match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")));
+}
+
+// Parses a sitemap (<urlset>) or sitemap index (<sitemapindex>) into { type, entries: [{ loc, lastmod }] }.
+export function parseSitemap(xml) {
+  const text = String(xml || "");
+  const isIndex = /<sitemapindex[\s>]/i.test(text);
+  const blocks = text.match(isIndex ? /<sitemap\b[\s\S]*?<\/sitemap>/gi : /<url\b[\s\S]*?<\/url>/gi) || [];
+
+  const entries = blocks
+    .map((block) => ({ loc: readTag(block, "loc"), lastmod: readTag(block, "lastmod") || null }))
+    .filter((entry) => entry.loc);
+
+  return { type: isIndex ? "index" : "urlset", entries };
+}
+
+// Keeps entries whose URL path matches one of `include` (regular expressions) and whose lastmod is
+// within `maxAgeDays`. Entries without a lastmod are kept. Newest first; undated entries last.
+export function selectSitemapEntries(entries, { include = [], maxAgeDays = null, nowMs = Date.now() } = {}) {
+  const patterns = include.map((pattern) => new RegExp(pattern, "i"));
+  const cutoff = Number(maxAgeDays) > 0 ? nowMs - Number(maxAgeDays) * DAY_MS : null;
+
+  return entries
+    .filter((entry) => {
+      let pathname;
+      try {
+        pathname = new URL(entry.loc).pathname;
+      } catch {
+        return false;
+      }
+      if (patterns.length > 0 && !patterns.some((re) => re.test(pathname))) return false;
+
+      const modified = Date.parse(entry.lastmod || "");
+      if (cutoff !== null && !Number.isNaN(modified) && modified < cutoff) return false;
+      return true;
+    })
+    .sort((a, b) => (Date.parse(b.lastmod || "") || 0) - (Date.parse(a.lastmod || "") || 0));
+}
+
+export function titleFromUrlSlug(url) {
+  try {
+    const segments = new URL(url).pathname.split("/").filter(Boolean);
+    const slug = decodeURIComponent(segments[segments.length - 1] || "");
+    const words = slug.replace(/\.[a-z]+$/i, "").replace(/[-_]+/g, " ").trim();
+    return words ? words.charAt(0).toUpperCase() + words.slice(1) : "";
+  } catch {
+    return "";
+  }
+}
@@ -0,0 +1,55 @@
+export const HEALTH_STATUSES = ["ok", "degraded", "empty", "failing"];
+
+const BASELINE_RUNS = 7;
+const MIN_BASELINE_ITEMS = 4;
+
+// "failing": no seed could be fetched; "empty": fetched but nothing kept;
+// "degraded": kept items fell below half of the recent average.
+export function classifySourceHealth(record, history = []) {
+  if (record.seeds > 0 && record.seedsFetched === 0 && record.candidates === 0) return "failing";
+  if (record.itemsKept === 0) return "empty";
+
+  const recent = history
+    .slice(-BASELINE_RUNS)
+    .map((entry) => entry.itemsKept)
+    .filter((value) => Number.isFinite(value));
+  if (recent.length > 0) {
+    const baseline = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+    if (baseline >= MIN_BASELINE_ITEMS && record.itemsKept < baseline / 2) return "degraded";
+  }
+  return "ok";
+}
+
+// Combines this run's per-source records with the previous report's history (one entry per date).
+export function buildSourceHealthReport({ generatedAt, records, previousReport = null, historyLimit = 30 }) {
+  const date = generatedAt.slice(0, 10);
+  const previousById = new Map((previousReport?.sources || []).map((entry) => [entry.sourceId, entry]));
+
+  const sources = records.map((record) => {
+    const history = (previousById.get(record.sourceId)?.history || []).filter((entry) => entry.date !== date);
+    const last = history[history.length - 1] || null;
+    const status = classifySourceHealth(record, history);
+
+    return {
+      ...record,
+      status,
+      previousItemsKept: last ? last.itemsKept : null,
+      history: [
+        ...history,
+        {
+          date,
+          status,
+          candidates: record.candidates,
+          itemsKept: record.itemsKept,
+          published: record.published,
+          httpErrors: record.httpErrors
+        }
+      ].slice(-historyLimit)
+    };
+  });
+
+  const summary = Object.fromEntries(HEALTH_STATUSES.map((status) => [status, 0]));
+  for (const entry of sources) summary[entry.status] += 1;
+
+  return { generatedAt, summary, sources };
+}
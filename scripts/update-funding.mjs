@@ -2,21 +2,90 @@ import { createHash } from "crypto";
 import { mkdir, readFile, writeFile, access } from "fs/promises";
 import path from "path";
 
+import {
+  deadlineCutoffMs,
+  itemDaysLeft,
+  itemStatus,
+  nextDeadline,
+  openingMs,
+  utcMsToZonedTime
+} from "../docs/assets/matching.js";
+import {
+  ALL_DISCIPLINES,
+  DISCIPLINES,
+  TAXONOMY_VERSION,
+  findDisciplines,
+  normalizeDisciplines
+} from "../docs/assets/taxonomy.js";
+import { getAdapter } from "./adapters/index.mjs";
+import {
+  canonicalizeUrl,
+  dedupeLinks,
+  extractAmount,
+  extractAmountDetails,
+  extractDeadline,
+  extractDeadlines,
+  extractLinks,
+  extractMetaDescription,
+  extractOpeningDate,
+  extractRelNext,
+  extractStructuredData,
+  extractTitle,
+  getHost,
+  normalizeWhitespace,
+  pickFirstNonEmpty,
+  stripHtml,
+  urlPath
+} from "./lib/extract.mjs";
+import {
+  configureFixtures,
+  createCrawlPool,
+  fetchPage,
+  fetchText,
+  fetchUrlMetadata,
+  getHttpCacheStats,
+  getPolitenessStats,
+  getRobotsSitemaps,
+  isReplayMode,
+  openHttpCache,
+  saveHttpCache
+} from "./lib/http.mjs";
+import { extractEligibilityRules, normalizeEligibilityRules } from "./lib/eligibility.mjs";
+import { detectChanges, updateChangelog } from "./lib/changelog.mjs";
+import { combineListings, mergeDuplicates } from "./lib/duplicates.mjs";
+import { buildHistoryIndex, buildItemTimelineIndex, compactHistory } from "./lib/history.mjs";
+import { resolveIdentities } from "./lib/identity.mjs";
+import { mapWithConcurrency, settle } from "./lib/pool.mjs";
+import { parseSitemap, selectSitemapEntries, titleFromUrlSlug } from "./lib/sitemap.mjs";
+import { buildSourceHealthReport } from "./lib/source-health.mjs";
+
 const ROOT = process.cwd();
 const SOURCES_FILE = path.join(ROOT, "config", "sources.json");
 const OUTPUT_DIR = path.join(ROOT, "docs", "data");
 const OUTPUT_FILE = path.join(OUTPUT_DIR, "funding.latest.json");
 const HISTORY_DIR = path.join(OUTPUT_DIR, "history");
+const HISTORY_INDEX_FILE = path.join(HISTORY_DIR, "index.json");
+const HISTORY_ITEMS_FILE = path.join(HISTORY_DIR, "items.json");
 const SITE_CONFIG_FILE = path.join(OUTPUT_DIR, "site-config.json");
+const SOURCE_HEALTH_FILE = path.join(OUTPUT_DIR, "source-health.json");
+const CHANGELOG_FILE = path.join(OUTPUT_DIR, "changelog.json");
 
 const DEFAULT_MAX_PER_SOURCE = Number(process.env.MAX_ITEMS_PER_SOURCE || 18);
 const MAX_DETAIL_FETCH = Number(process.env.MAX_DETAIL_FETCH || 260);
 const MAX_AI_ITEMS = Number(process.env.MAX_AI_ITEMS || 120);
-const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS || 22000);
-const URL_CHECK_TIMEOUT_MS = Number(process.env.URL_CHECK_TIMEOUT_MS || 15000);
 const URL_CHECK_CONCURRENCY = Math.max(1, Number(process.env.URL_CHECK_CONCURRENCY || 8));
+const CRAWL_CONCURRENCY = Math.max(1, Number(process.env.CRAWL_CONCURRENCY || 6));
 const MAX_URL_CHECK_ITEMS = Number(process.env.MAX_URL_CHECK_ITEMS || 320);
 const STRICT_URL_VALIDATION = process.env.STRICT_URL_VALIDATION === "true";
+const MAX_LISTING_PAGES = Number(process.env.MAX_LISTING_PAGES || 5);
+const MAX_SITEMAP_FILES = Number(process.env.MAX_SITEMAP_FILES || 12);
+const SOURCE_HEALTH_HISTORY_RUNS = Number(process.env.SOURCE_HEALTH_HISTORY_RUNS || 30);
+const HISTORY_RETENTION = {
+  dailyDays: Number(process.env.HISTORY_DAILY_DAYS || 30),
+  weeklyWeeks: Number(process.env.HISTORY_WEEKLY_WEEKS || 26),
+  monthlyMonths: Number(process.env.HISTORY_MONTHLY_MONTHS || 0)
+};
+const RECENT_CHANGES_PER_ITEM = 3;
 const INCLUDE_SEED_PAGE_ITEMS = process.env.INCLUDE_SEED_PAGE_ITEMS === "true";
 const DEFAULT_OPENROUTER_MODELS = [
   "openrouter/free",
@@ -224,46 +293,7 @@ const TITLE_URL_GENERIC_WORDS = new Set([
   "research"
 ]);
 
-const DISCIPLINE_PATTERNS = {
-  "life sciences": ["biolog", "biomedical", "life science", "genetic", "molecular", "neuroscience"],
-  "medicine and health": ["health", "clinical", "medical", "public health", "cancer", "heart"],
-  engineering: ["engineering", "materials", "mechanical", "electrical", "civil"],
-  "computer science and ai": ["computer", "ai", "artificial intelligence", "machine learning", "data science"],
-  "physical sciences": ["physics", "chemistry", "mathematics", "astronomy"],
-  "environment and earth": ["climate", "environment", "ecology", "geology", "sustainability"],
-  "social sciences": ["social", "economics", "politics", "policy", "education", "psychology"],
-  humanities: ["history", "philosophy", "linguistics", "literature", "arts", "culture"],
-  business: ["entrepreneur", "business", "innovation", "commercialisation", "startup"]
-};
-
-const MONTHS = {
-  january: 1,
-  jan: 1,
-  february: 2,
-  feb: 2,
-  march: 3,
-  mar: 3,
-  april: 4,
-  apr: 4,
-  may: 5,
-  june: 6,
-  jun: 6,
-  july: 7,
-  jul: 7,
-  august: 8,
-  aug: 8,
-  september: 9,
-  sept: 9,
-  sep: 9,
-  october: 10,
-  oct: 10,
-  november: 11,
-  nov: 11,
-  december: 12,
-  dec: 12
-};
-
-const now = new Date();
+let now = new Date();
 
 function sha1(input) {
   return createHash("sha1").update(String(input)).digest("hex");
@@ -287,37 +317,6 @@ function parseArgs() {
   return map;
 }
 
-function normalizeWhitespace(text) {
-  return text.replace(/\s+/g, " ").trim();
-}
-
-function stripHtml(html) {
-  return normalizeWhitespace(
-    html
-      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, " ")
-      .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, " ")
-      .replace(/<noscript\b[^<]*(?:(?!<\/noscript>)<[^<]*)*<\/noscript>/gi, " ")
-      .replace(/<[^>]+>/g, " ")
-      .replace(/&nbsp;/gi, " ")
-      .replace(/&amp;/gi, "&")
-      .replace(/&quot;/gi, '"')
-      .replace(/&#39;/gi, "'")
-      .replace(/&lt;/gi, "<")
-      .replace(/&gt;/gi, ">")
-  );
-}
-
-function decodeHtmlEntities(text) {
-  return text
-    .replace(/&nbsp;/gi, " ")
-    .replace(/&amp;/gi, "&")
-    .replace(/&quot;/gi, '"')
-    .replace(/&#39;/gi, "'")
-    .replace(/&lt;/gi, "<")
-    .replace(/&gt;/gi, ">")
-    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)));
-}
-
 async function fileExists(filePath) {
   try {
     await access(filePath);
@@ -336,82 +335,6 @@ async function readJson(filePath, fallback = null) {
   }
 }
 
-async function fetchText(url) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-  try {
-    const resp = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        "user-agent":
-          "Mozilla/5.0 (compatible; UKFundingHubBot/1.0; +https://github.com/)"
-      },
-      redirect: "follow"
-    });
-    if (!resp.ok) {
-      throw new Error(`HTTP ${resp.status}`);
-    }
-    return await resp.text();
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-function extractTitle(html) {
-  const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
-  if (h1?.[1]) {
-    return normalizeWhitespace(decodeHtmlEntities(stripHtml(h1[1])));
-  }
-  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
-  return title?.[1] ? normalizeWhitespace(decodeHtmlEntities(stripHtml(title[1]))) : "";
-}
-
-function extractMetaDescription(html) {
-  const match = html.match(/<meta[^>]+name=["']description["'][^>]+content=["']([\s\S]*?)["'][^>]*>/i);
-  if (!match?.[1]) return "";
-  return normalizeWhitespace(decodeHtmlEntities(match[1]));
-}
-
-function canonicalizeUrl(rawUrl) {
-  try {
-    const u = new URL(rawUrl);
-    u.hash = "";
-    if (u.pathname.endsWith("/")) u.pathname = u.pathname.slice(0, -1);
-    return u.toString();
-  } catch {
-    return rawUrl;
-  }
-}
-
-function extractLinks(html, baseUrl) {
-  const links = [];
-  const regex = /<a\b[^>]*href=["']([^"'#]+)["'][^>]*>([\s\S]*?)<\/a>/gi;
-  let match;
-
-  while ((match = regex.exec(html)) !== null) {
-    const href = match[1]?.trim();
-    if (!href) continue;
-    if (href.startsWith("mailto:") || href.startsWith("tel:")) continue;
-
-    let absolute;
-    try {
-      absolute = new URL(href, baseUrl).toString();
-    } catch {
-      continue;
-    }
-
-    const text = normalizeWhitespace(decodeHtmlEntities(stripHtml(match[2] || "")));
-    if (!text || text.length < 2) continue;
-
-    links.push({
-      url: canonicalizeUrl(absolute),
-      text
-    });
-  }
-
-  return links;
-}
-
 function includesAny(text, keywords) {
   const lower = text.toLowerCase();
   return keywords.some((kw) => lower.includes(kw));
@@ -429,14 +352,6 @@ function tokenizeForMatching(text) {
   return normalizeForKeywordChecks(text).split(" ").filter(Boolean);
 }
 
-function getHost(url) {
-  try {
-    return new URL(url).hostname.replace(/^www\./, "");
-  } catch {
-    return "";
-  }
-}
-
 function isHttpUrl(rawUrl) {
   try {
     const u = new URL(rawUrl);
@@ -460,14 +375,6 @@ function resolveAllowedHosts(source) {
   return homepageHost ? [homepageHost.toLowerCase()] : [];
 }
 
-function urlPath(url) {
-  try {
-    return new URL(url).pathname.toLowerCase();
-  } catch {
-    return "";
-  }
-}
-
 function hasDisallowedFileExtension(url) {
   const path = urlPath(url);
   return DISALLOWED_FILE_EXTENSIONS.some((ext) => path.endsWith(ext));
@@ -522,75 +429,9 @@ function isLikelyNetworkError(message) {
   );
 }
 
-async function fetchUrlMetadata(url) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), URL_CHECK_TIMEOUT_MS);
-  const requestHeaders = {
-    "user-agent":
-      "Mozilla/5.0 (compatible; UKFundingHubBot/1.0; +https://github.com/)"
-  };
-
-  let headResp = null;
-  try {
-    headResp = await fetch(url, {
-      method: "HEAD",
-      signal: controller.signal,
-      headers: requestHeaders,
-      redirect: "follow"
-    });
-
-    // Some websites block HEAD; fallback to GET in those cases.
-    if ([403, 405, 429, 500, 501].includes(headResp.status)) {
-      try {
-        headResp.body?.cancel();
-      } catch {
-        // ignore
-      }
-
-      const getResp = await fetch(url, {
-        method: "GET",
-        signal: controller.signal,
-        headers: requestHeaders,
-        redirect: "follow"
-      });
-
-      const metadata = {
-        ok: getResp.ok,
-        status: getResp.status,
-        finalUrl: canonicalizeUrl(getResp.url || url),
-        redirected: canonicalizeUrl(getResp.url || url) !== canonicalizeUrl(url),
-        contentType: (getResp.headers.get("content-type") || "").toLowerCase()
-      };
-
-      try {
-        getResp.body?.cancel();
-      } catch {
-        // ignore
-      }
-
-      return metadata;
-    }
-
-    return {
-      ok: headResp.ok,
-      status: headResp.status,
-      finalUrl: canonicalizeUrl(headResp.url || url),
-      redirected: canonicalizeUrl(headResp.url || url) !== canonicalizeUrl(url),
-      contentType: (headResp.headers.get("content-type") || "").toLowerCase()
-    };
-  } finally {
-    clearTimeout(timeout);
-    try {
-      headResp?.body?.cancel();
-    } catch {
-      // ignore
-    }
-  }
-}
-
 async function checkOpportunityUrl(item, source) {
   const originalUrl = canonicalizeUrl(item.url);
-  const checkedAt = new Date().toISOString();
+  const checkedAt = now.toISOString();
   const allowedHosts = resolveAllowedHosts(source);
 
   if (!isHttpUrl(originalUrl)) {
@@ -695,29 +536,14 @@ async function verifyOpportunityUrls(items, sources) {
   const sourceMap = new Map(sources.map((source) => [source.id, source]));
   const inputItems = items.slice(0, MAX_URL_CHECK_ITEMS);
   const uncheckedTail = items.slice(MAX_URL_CHECK_ITEMS);
-  const checks = new Array(inputItems.length);
-  let cursor = 0;
-
-  async function worker() {
-    while (true) {
-      const index = cursor;
-      cursor += 1;
-      if (index >= inputItems.length) return;
-
-      const item = inputItems[index];
-      const source = sourceMap.get(item.sourceId) || {
-        id: item.sourceId,
-        homepage: item.sourceHomepage || item.url,
-        includeHosts: [getHost(item.url)]
-      };
-      checks[index] = await checkOpportunityUrl(item, source);
-    }
-  }
-
-  if (inputItems.length > 0) {
-    const workers = Array.from({ length: Math.min(URL_CHECK_CONCURRENCY, inputItems.length) }, () => worker());
-    await Promise.all(workers);
-  }
+  const checks = await mapWithConcurrency(inputItems, URL_CHECK_CONCURRENCY, (item) => {
+    const source = sourceMap.get(item.sourceId) || {
+      id: item.sourceId,
+      homepage: item.sourceHomepage || item.url,
+      includeHosts: [getHost(item.url)]
+    };
+    return checkOpportunityUrl(item, source);
+  });
 
   let checked = 0;
   let reachable = 0;
@@ -735,7 +561,7 @@ async function verifyOpportunityUrls(items, sources) {
       status: "check_error",
       originalUrl: item.url,
       finalUrl: null,
-      checkedAt: new Date().toISOString(),
+      checkedAt: now.toISOString(),
       error: "No check result generated"
     };
     checked += 1;
@@ -785,7 +611,7 @@ async function verifyOpportunityUrls(items, sources) {
         httpStatus: null,
         allowedHost: true,
         redirected: false,
-        checkedAt: new Date().toISOString(),
+        checkedAt: now.toISOString(),
         error: "Skipped strict filtering because network was unavailable during URL checks"
       }
     }));
@@ -800,7 +626,7 @@ async function verifyOpportunityUrls(items, sources) {
           httpStatus: null,
           allowedHost: true,
           redirected: false,
-          checkedAt: new Date().toISOString(),
+          checkedAt: now.toISOString(),
           error: `Skipped URL check due to MAX_URL_CHECK_ITEMS=${MAX_URL_CHECK_ITEMS}`
         }
       }))],
@@ -834,7 +660,7 @@ async function verifyOpportunityUrls(items, sources) {
           httpStatus: null,
           allowedHost: true,
           redirected: false,
-          checkedAt: new Date().toISOString(),
+          checkedAt: now.toISOString(),
           error: `Skipped URL check due to MAX_URL_CHECK_ITEMS=${MAX_URL_CHECK_ITEMS}`
         }
       }))
@@ -884,17 +710,7 @@ function scoreCandidate(link, source) {
 }
 
 function pickCandidateLinks(links, source, maxPerSource) {
-  const dedup = new Map();
-  for (const link of links) {
-    if (!link.url.startsWith("http")) continue;
-    const key = link.url;
-    const prev = dedup.get(key);
-    if (!prev || link.text.length > prev.text.length) {
-      dedup.set(key, link);
-    }
-  }
-
-  const ranked = [...dedup.values()]
+  const ranked = dedupeLinks(links)
     .map((link) => ({
       ...link,
       score: scoreCandidate(link, source)
@@ -905,86 +721,6 @@ function pickCandidateLinks(links, source, maxPerSource) {
   return ranked.slice(0, maxPerSource).map(({ score, ...rest }) => rest);
 }
 
-function parseDateFromText(text) {
-  if (!text) return null;
-  const normalized = text.replace(/,/g, " ").replace(/\s+/g, " ").trim();
-
-  const directIso = normalized.match(/\b(20\d{2})[-\/](0?[1-9]|1[0-2])[-\/](0?[1-9]|[12]\d|3[01])\b/);
-  if (directIso) {
-    const year = Number(directIso[1]);
-    const month = Number(directIso[2]);
-    const day = Number(directIso[3]);
-    return toIsoDate(year, month, day);
-  }
-
-  const dmyNumeric = normalized.match(/\b(0?[1-9]|[12]\d|3[01])[\/\-.](0?[1-9]|1[0-2])[\/\-.](20\d{2})\b/);
-  if (dmyNumeric) {
-    const day = Number(dmyNumeric[1]);
-    const month = Number(dmyNumeric[2]);
-    const year = Number(dmyNumeric[3]);
-    return toIsoDate(year, month, day);
-  }
-
-  const monthNamePatterns = [
-    /\b(0?[1-9]|[12]\d|3[01])\s+(january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec)\s+(20\d{2})\b/i,
-    /\b(january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec)\s+(0?[1-9]|[12]\d|3[01])\s+(20\d{2})\b/i
-  ];
-
-  for (const pattern of monthNamePatterns) {
-    const m = normalized.match(pattern);
-    if (!m) continue;
-
-    let day;
-    let monthName;
-    let year;
-
-    if (pattern === monthNamePatterns[0]) {
-      day = Number(m[1]);
-      monthName = m[2];
-      year = Number(m[3]);
-    } else {
-      monthName = m[1];
-      day = Number(m[2]);
-      year = Number(m[3]);
-    }
-
-    const month = MONTHS[monthName.toLowerCase()];
-    if (month) return toIsoDate(year, month, day);
-  }
-
-  return null;
-}
-
-function toIsoDate(year, month, day) {
-  const dt = new Date(Date.UTC(year, month - 1, day));
-  if (Number.isNaN(dt.getTime())) return null;
-  return dt.toISOString().slice(0, 10);
-}
-
-function extractDeadline(text) {
-  if (!text) return null;
-
-  const targeted = text.match(
-    /(deadline|closing date|applications? close(?:s|d)?|closes?|closing)\s*[:\-]?\s*([^\.\n;]{4,80})/i
-  );
-  if (targeted?.[2]) {
-    const parsed = parseDateFromText(targeted[2]);
-    if (parsed) return parsed;
-  }
-
-  return parseDateFromText(text);
-}
-
-function extractAmount(text) {
-  if (!text) return null;
-
-  const match = text.match(
-    /(£\s?\d[\d,]*(?:\.\d+)?\s?(?:m|k|million|billion|thousand)?(?:\s*(?:per year|a year|total))?)/i
-  );
-  if (!match?.[1]) return null;
-  return normalizeWhitespace(match[1]);
-}
-
 function classifyType(raw) {
   const text = raw.toLowerCase();
   if (text.includes("fellowship")) return "fellowship";
@@ -994,24 +730,25 @@ function classifyType(raw) {
   return "grant";
 }
 
-function inferStatus(text, deadlineIso) {
+// `deadlineAt` is the cut-off instant (ISO), so a call closing at 16:00 UK time reads as closed from 16:00.
+// A call with an opening date still ahead is "upcoming", even when the page already says "open".
+function inferStatus(text, deadlineAt, opensAt = null) {
+  const opens = opensAt ? Date.parse(opensAt) : NaN;
+  if (!Number.isNaN(opens) && opens > now.getTime()) return "upcoming";
+
   const lower = text.toLowerCase();
   if (lower.includes("closed") || lower.includes("applications closed") || lower.includes("this call is closed")) {
     return "closed";
   }
 
+  const cutoff = deadlineAt ? Date.parse(deadlineAt) : NaN;
   if (lower.includes("open") || lower.includes("applications open") || lower.includes("now open")) {
-    if (deadlineIso) {
-      const deadline = Date.parse(`${deadlineIso}T23:59:59Z`);
-      if (!Number.isNaN(deadline) && deadline < Date.now()) return "closed";
-    }
+    if (!Number.isNaN(cutoff) && cutoff < now.getTime()) return "closed";
     return "open";
   }
 
-  if (deadlineIso) {
-    const deadline = Date.parse(`${deadlineIso}T23:59:59Z`);
-    if (!Number.isNaN(deadline) && deadline < Date.now()) return "closed";
-    return "open";
+  if (!Number.isNaN(cutoff)) {
+    return cutoff < now.getTime() ? "closed" : "open";
   }
 
   return "unknown";
@@ -1044,33 +781,28 @@ function inferCareerStage(text) {
   return [...new Set(stages)];
 }
 
+const UK_ONLY_PATTERN =
+  /\b(?:uk|british|united kingdom) (?:nationals?|citizens?|citizenship)\b|\bmust be (?:a )?(?:uk|british) (?:national|citizen|resident)\b|\b(?:open|available|restricted) (?:only )?to (?:uk|british)\b(?!-based)|\buk (?:applicants|students) only\b|\buk only\b/;
+
 function inferNationalities(text) {
   const lower = text.toLowerCase();
   const tags = [];
 
-  if (lower.includes("uk only") || lower.includes("uk-based") || lower.includes("uk institutions") || lower.includes("united kingdom")) {
-    tags.push("uk");
-  }
+  // Only wording that restricts who may apply: a call hosted in the UK is not closed to other nationalities.
+  if (UK_ONLY_PATTERN.test(lower)) tags.push("uk");
   if (lower.includes("international") || lower.includes("all nationalities") || lower.includes("worldwide")) {
     tags.push("international");
   }
-  if (lower.includes("eu") || lower.includes("european")) tags.push("eu");
+  // Whole words only: "eu" is inside neuroscience, museum, Leuven, ...
+  if (/\beu\b|\beuropean union\b/.test(lower)) tags.push("eu");
 
   if (tags.length === 0) tags.push("any");
   return [...new Set(tags)];
 }
 
 function inferDisciplines(text) {
-  const lower = text.toLowerCase();
-  const hits = [];
-
-  for (const [discipline, patterns] of Object.entries(DISCIPLINE_PATTERNS)) {
-    if (patterns.some((p) => lower.includes(p))) {
-      hits.push(discipline);
-    }
-  }
-
-  return hits.length > 0 ? hits : ["all disciplines"];
+  const hits = findDisciplines(text);
+  return hits.length > 0 ? hits : [ALL_DISCIPLINES];
 }
 
 function heuristicSummary(item, contextText) {
@@ -1096,13 +828,19 @@ function heuristicSummary(item, contextText) {
   if (item.eligibility.levels.includes("postdoc")) bestFor.push("Postdoctoral or early-career researchers");
   if (item.eligibility.levels.includes("masters")) bestFor.push("Master's applicants");
   if (item.eligibility.careerStages.includes("early")) bestFor.push("Early-career stage");
-  if (item.eligibility.disciplines[0] !== "all disciplines") {
+  if (item.eligibility.disciplines[0] !== ALL_DISCIPLINES) {
     bestFor.push(`Research focus includes ${item.eligibility.disciplines.slice(0, 2).join("/")}`);
   }
   if (bestFor.length === 0) bestFor.push("Anyone aligned with this theme and meeting official eligibility");
 
   const watchOut = [];
   if (item.status === "closed") watchOut.push("Status may be closed; verify the latest official notice");
+  if (item.status === "upcoming") watchOut.push("Not open for applications yet; plan for the opening date");
+  if (item.eligibility.contractRequirement === "permanent") watchOut.push("The lead applicant needs a permanent contract");
+  if (item.eligibility.yearsSincePhd?.max) {
+    watchOut.push(`Limited to applicants within ${item.eligibility.yearsSincePhd.max} years of their PhD`);
+  }
+  if (item.eligibility.industryPartnerRequired) watchOut.push("An industry partner is required");
   if (!item.deadline) watchOut.push("No explicit deadline was detected; verify before applying");
   if (item.eligibility.nationalities.includes("uk") && !item.eligibility.nationalities.includes("international")) {
     watchOut.push("May require UK institution affiliation or UK-specific eligibility");
@@ -1158,7 +896,7 @@ function extractChatContent(data) {
 }
 
 async function summarizeWithAI(item, contextText) {
-  const apiKey = process.env.OPENROUTER_API_KEY;
+  const apiKey = isReplayMode() ? "" : process.env.OPENROUTER_API_KEY;
   if (!apiKey) {
     return heuristicSummary(item, contextText);
   }
@@ -1176,7 +914,12 @@ async function summarizeWithAI(item, contextText) {
     '    "levels": ["undergraduate|masters|phd|postdoc|academic"],',
     '    "career_stages": ["early|mid|senior"],',
     '    "nationalities": ["uk|eu|international|any"],',
-    '    "disciplines": ["discipline name"]',
+    '    "disciplines": ["discipline name"],',
+    '    "host_institutions": ["uk_hei|uk_research_org|uk_business"],',
+    '    "contract_requirement": "permanent|covers_award|null",',
+    '    "years_since_phd": { "min": null, "max": null },',
+    '    "residency": "uk|null",',
+    '    "industry_partner_required": "true|null"',
     "  }",
     "}",
     "Rules:",
@@ -1184,6 +927,8 @@ async function summarizeWithAI(item, contextText) {
     "2) fit and watch_out must each contain at least 2 entries.",
     "3) If info is incomplete, explicitly say to verify on the official page.",
     "4) Output must be valid JSON.",
+    "5) Leave host_institutions empty and the other eligibility rules null unless the text states them; set industry_partner_required only when a partner is mandatory.",
+    `6) Use discipline names from this list only, or "${ALL_DISCIPLINES}": ${DISCIPLINES.map((entry) => entry.id).join("; ")}.`,
     "Input:",
     JSON.stringify(
       {
@@ -1261,7 +1006,8 @@ async function summarizeWithAI(item, contextText) {
   return heuristicSummary(item, contextText);
 }
 
-function shouldKeepOpportunity(candidate) {
+// Returns why a candidate is not a specific funding opportunity, or null when it should be kept.
+function opportunityRejectReason(candidate) {
   const title = normalizeWhitespace(candidate.title || "");
   const titleAndUrl = `${candidate.title || ""} ${candidate.url || ""}`.toLowerCase();
   const normalizedTitleAndUrl = normalizeForKeywordChecks(titleAndUrl);
@@ -1269,16 +1015,20 @@ function shouldKeepOpportunity(candidate) {
   const sourceType = candidate?.rawSignals?.sourceType || "";
   const opportunityDetail = isOpportunityDetailUrl(candidate.url);
 
-  if (!opportunityDetail && !includesAny(titleAndUrl, FUNDING_KEYWORDS)) return false;
-  if (includesAny(normalizedTitleAndUrl, normalizedNegativeKeywords)) return false;
-  if (sourceType === "seed_page") return false;
-  if (hasDisallowedFileExtension(candidate.url)) return false;
-  if (hasExcludedUrlSegment(candidate.url)) return false;
-  if (isExactGenericTitle(title)) return false;
-  if (matchesGenericOpportunityPattern(title)) return false;
-  if (sourceType !== "rss" && !hasTitleUrlAlignment(candidate.title, candidate.url)) return false;
-  if (title.length < 8) return false;
-  return true;
+  if (!opportunityDetail && !includesAny(titleAndUrl, FUNDING_KEYWORDS)) return "no_funding_keyword";
+  if (includesAny(normalizedTitleAndUrl, normalizedNegativeKeywords)) return "negative_keyword";
+  if (sourceType === "seed_page") return "seed_page";
+  if (hasDisallowedFileExtension(candidate.url)) return "file_extension";
+  if (hasExcludedUrlSegment(candidate.url)) return "excluded_url_segment";
+  if (isExactGenericTitle(title)) return "generic_title";
+  if (matchesGenericOpportunityPattern(title)) return "generic_title";
+  if (sourceType !== "rss" && !hasTitleUrlAlignment(candidate.title, candidate.url)) return "title_url_mismatch";
+  if (title.length < 8) return "short_title";
+  return null;
+}
+
+function shouldKeepOpportunity(candidate) {
+  return opportunityRejectReason(candidate) === null;
 }
 
 function buildFingerprint(item) {
@@ -1313,19 +1063,36 @@ function createDigest(items, previousMap) {
     .filter((item) => item.deadline && item.status === "open")
     .map((item) => ({
       ...item,
-      daysLeft: daysUntil(item.deadline)
+      daysLeft: itemDaysLeft(item, now.getTime()) ?? 9999
     }))
     .filter((item) => item.daysLeft >= 0 && item.daysLeft <= 14)
     .sort((a, b) => a.daysLeft - b.daysLeft);
 
-  const subject = `UK Funding Daily Brief | ${new Date().toISOString().slice(0, 10)} | ${newItems.length} new`;
+  const openingSoon = items
+    .filter((item) => item.status === "upcoming" && item.opensAt)
+    .map((item) => ({ ...item, opensMs: Date.parse(item.opensAt) }))
+    .filter((item) => item.opensMs - now.getTime() <= 14 * 24 * 3600 * 1000)
+    .sort((a, b) => a.opensMs - b.opensMs);
+
+  const changedItems = items
+    .map((item) => ({
+      ...item,
+      notes: (item.recentChanges || [])
+        .filter((entry) => entry.detectedAt === now.toISOString())
+        .map((entry) => entry.note)
+    }))
+    .filter((item) => item.notes.length > 0);
+
+  const subject = `UK Funding Daily Brief | ${now.toISOString().slice(0, 10)} | ${newItems.length} new`;
 
   const lines = [];
-  lines.push(`# UK Academic Funding Daily Brief (${new Date().toISOString().slice(0, 10)})`);
+  lines.push(`# UK Academic Funding Daily Brief (${now.toISOString().slice(0, 10)})`);
   lines.push("");
   lines.push(`- New opportunities: **${newItems.length}**`);
   lines.push(`- Updated opportunities: **${updatedItems.length}**`);
+  lines.push(`- Deadline, amount or status changes: **${changedItems.length}**`);
   lines.push(`- Closing within 14 days: **${closingSoon.length}**`);
+  lines.push(`- Opening within 14 days: **${openingSoon.length}**`);
   lines.push("");
 
   lines.push("## New Opportunities (Top 12)");
@@ -1341,6 +1108,16 @@ function createDigest(items, previousMap) {
     }
   }
 
+  lines.push("");
+  lines.push("## What Changed");
+  if (changedItems.length === 0) {
+    lines.push("- No tracked field changed since the last run.\n");
+  } else {
+    for (const item of changedItems.slice(0, 12)) {
+      lines.push(`- [${escapeMd(item.title)}](${item.url}) | ${item.sourceName} | ${escapeMd(item.notes.join("; "))}`);
+    }
+  }
+
   lines.push("");
   lines.push("## Closing Soon (Within 14 Days)");
   if (closingSoon.length === 0) {
@@ -1351,6 +1128,19 @@ function createDigest(items, previousMap) {
     }
   }
 
+  lines.push("");
+  lines.push("## Opening Soon (Within 14 Days)");
+  if (openingSoon.length === 0) {
+    lines.push("- No upcoming calls open within the next 14 days.\n");
+  } else {
+    for (const item of openingSoon.slice(0, 12)) {
+      const opens = utcMsToZonedTime(item.opensMs);
+      lines.push(
+        `- [${escapeMd(item.title)}](${item.url}) | ${item.sourceName} | Opens ${opens.date} | Deadline: ${item.deadline || "TBC"}`
+      );
+    }
+  }
+
   lines.push("");
   lines.push("---");
   lines.push("This brief is auto-generated by GitHub Actions. Always verify details on the official source page.\n");
@@ -1361,7 +1151,9 @@ function createDigest(items, previousMap) {
     stats: {
       newItems: newItems.length,
       updatedItems: updatedItems.length,
-      closingSoon: closingSoon.length
+      changedItems: changedItems.length,
+      closingSoon: closingSoon.length,
+      openingSoon: openingSoon.length
     }
   };
 }
@@ -1370,12 +1162,6 @@ function escapeMd(text) {
   return String(text || "").replace(/[\[\]()]/g, " ").replace(/\s+/g, " ").trim();
 }
 
-function daysUntil(isoDate) {
-  const target = Date.parse(`${isoDate}T23:59:59Z`);
-  if (Number.isNaN(target)) return 9999;
-  return Math.ceil((target - Date.now()) / (24 * 3600 * 1000));
-}
-
 function buildFallbackItems(sources) {
   const staticExamples = [
     {
@@ -1438,13 +1224,18 @@ function buildFallbackItems(sources) {
       type: it.type,
       status: "unknown",
       deadline: it.deadline,
+      deadlineAt: null,
+      deadlines: [],
+      opensAt: null,
       amount: null,
+      amountDetails: null,
       description: it.summary,
       eligibility: {
         levels: it.level,
         careerStages: ["early"],
         nationalities: ["any"],
-        disciplines: ["all disciplines"]
+        disciplines: [ALL_DISCIPLINES],
+        ...normalizeEligibilityRules({})
       },
       summary: {
         en: `${it.summary} (Fallback sample item: check the official link for current opening status.)`,
@@ -1465,13 +1256,6 @@ function buildFallbackItems(sources) {
   });
 }
 
-function pickFirstNonEmpty(...values) {
-  for (const v of values) {
-    if (typeof v === "string" && v.trim()) return normalizeWhitespace(v.trim());
-  }
-  return "";
-}
-
 function parseRssItems(xml, source) {
   const out = [];
   const itemMatches = xml.match(/<item\b[\s\S]*?<\/item>/gi) || [];
@@ -1488,14 +1272,17 @@ function parseRssItems(xml, source) {
     const cleanDesc = stripHtml(description).slice(0, 900);
     const merged = `${title} ${cleanDesc}`;
 
-    const deadline = extractDeadline(merged);
+    const { deadline, deadlineAt, deadlines } = resolveDeadlines(merged);
+    const opensAt = resolveOpensAt(merged);
     const amount = extractAmount(merged);
+    const amountDetails = extractAmountDetails(amount, merged);
     const type = classifyType(merged);
     const eligibility = {
       levels: inferLevels(merged),
       careerStages: inferCareerStage(merged),
       nationalities: inferNationalities(merged),
-      disciplines: inferDisciplines(merged)
+      disciplines: inferDisciplines(merged),
+      ...extractEligibilityRules(merged)
     };
 
     const item = {
@@ -1506,9 +1293,13 @@ function parseRssItems(xml, source) {
       sourceName: source.name,
       sourceHomepage: source.homepage,
       type,
-      status: inferStatus(merged, deadline),
+      status: inferStatus(merged, deadlineAt, opensAt),
       deadline,
+      deadlineAt,
+      deadlines,
+      opensAt,
       amount,
+      amountDetails,
       description: cleanDesc,
       eligibility,
       summary: null,
@@ -1525,25 +1316,299 @@ function parseRssItems(xml, source) {
   return out;
 }
 
-async function parseSource(source, maxPerSource) {
+const GENERIC_ADAPTER = {
+  name: "generic",
+
+  parseListing(html, { source, seedUrl, maxPerSource }) {
+    return pickCandidateLinks(extractLinks(html, seedUrl), source, maxPerSource);
+  },
+
+  parseDetail(html, { candidate }) {
+    const text = stripHtml(html);
+    const title = pickFirstNonEmpty(extractTitle(html), candidate.anchorText);
+    const description = pickFirstNonEmpty(extractMetaDescription(html), text.slice(0, 860));
+    return { title, description, text };
+  },
+
+  mapFields() {
+    return {};
+  }
+};
+
+function resolveAdapter(source, errors) {
+  if (!source.adapter) return GENERIC_ADAPTER;
+
+  const adapter = getAdapter(source.adapter);
+  if (!adapter) {
+    errors.push({ seedUrl: source.homepage, error: `Unknown adapter "${source.adapter}", using generic crawler` });
+    return GENERIC_ADAPTER;
+  }
+  return adapter;
+}
+
+function overlayFields(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === null || value === undefined || value === "") continue;
+    merged[key] = value;
+  }
+  return merged;
+}
+
+const TRACKED_DETAIL_FIELDS = ["title", "description", "deadline", "amount"];
+
+// Field precedence: source adapter, then structured data (JSON-LD/microdata/OpenGraph), then text heuristics.
+// Staged deadlines found in the text plus any closing date an adapter or structured data supplied;
+// the earliest stage still ahead is promoted to `deadline` and its cut-off instant to `deadlineAt`.
+function resolveDeadlines(text, provided = null) {
+  const deadlines = extractDeadlines(text);
+  if (provided?.date) {
+    const existing = deadlines.find((entry) => entry.date === provided.date);
+    if (!existing) {
+      deadlines.push({
+        label: "Closing date",
+        date: provided.date,
+        time: provided.time || null,
+        timezone: provided.timezone || null,
+        stage: "final"
+      });
+      deadlines.sort((a, b) => (a.date || "9999").localeCompare(b.date || "9999"));
+    } else if (!existing.time && provided.time) {
+      existing.time = provided.time;
+      existing.timezone = provided.timezone || null;
+    }
+  }
+
+  const next = nextDeadline(deadlines, now.getTime());
+  const deadline = next?.date || provided?.date || extractDeadline(text);
+  return { deadline, deadlineAt: deadlineAtFor(deadline, next), deadlines };
+}
+
+function deadlineAtFor(deadline, entry = null) {
+  const cutoff = deadlineCutoffMs(deadline, entry?.date === deadline ? entry : {});
+  return Number.isNaN(cutoff) ? null : new Date(cutoff).toISOString();
+}
+
+// Opening instant (ISO) from an adapter-supplied date, else from "opens"/"opening date" wording in the text.
+function resolveOpensAt(text, provided = null) {
+  const opening = provided?.date ? provided : extractOpeningDate(text);
+  if (!opening) return null;
+  const opens = openingMs(opening.date, opening);
+  return Number.isNaN(opens) ? null : new Date(opens).toISOString();
+}
+
+function buildDetailItem(html, candidate, adapter) {
+  const context = { source: candidate.source, candidate };
+  const structured = extractStructuredData(html);
+  const custom = adapter !== GENERIC_ADAPTER && adapter.parseDetail ? adapter.parseDetail(html, context) : null;
+  const fields = overlayFields(
+    overlayFields(GENERIC_ADAPTER.parseDetail(html, context), structured.fields),
+    custom
+  );
+  const { title, description, text } = fields;
+  const merged = `${title} ${description} ${text.slice(0, 4000)}`;
+
+  // Keep the time with the date it was read alongside, whichever layer supplied the date.
+  const deadlineProvider = custom?.deadline ? custom : structured.fields.deadline ? structured.fields : null;
+  const { deadline, deadlineAt, deadlines } = resolveDeadlines(merged, {
+    date: fields.deadline,
+    time: deadlineProvider?.deadlineTime || null,
+    timezone: deadlineProvider?.deadlineTimezone || null
+  });
+  const opensAt = resolveOpensAt(merged, {
+    date: custom?.openingDate || null,
+    time: custom?.openingTime || null,
+    timezone: custom?.openingTimezone || null
+  });
+  const amount = fields.amount || extractAmount(merged);
+  const amountDetails = extractAmountDetails(amount, merged);
+
+  const resolved = { title, description, deadline, amount };
+  const fieldSources = {};
+  for (const field of TRACKED_DETAIL_FIELDS) {
+    if (!resolved[field]) fieldSources[field] = null;
+    else if (custom?.[field] === resolved[field]) fieldSources[field] = `adapter:${adapter.name}`;
+    else if (structured.fields[field] === resolved[field]) fieldSources[field] = structured.sources[field];
+    else fieldSources[field] = "heuristic";
+  }
+  const type = fields.type || classifyType(`${title} ${candidate.url} ${description}`);
+  const eligibility = {
+    levels: inferLevels(merged),
+    careerStages: inferCareerStage(merged),
+    nationalities: inferNationalities(merged),
+    disciplines: inferDisciplines(merged),
+    ...extractEligibilityRules(merged)
+  };
+
+  const item = {
+    id: sha1(`${candidate.source.id}|${candidate.url}|${title}`),
+    title,
+    url: canonicalizeUrl(candidate.url),
+    sourceId: candidate.source.id,
+    sourceName: candidate.source.name,
+    sourceHomepage: candidate.source.homepage,
+    type,
+    status: fields.status || inferStatus(merged, deadlineAt, opensAt),
+    deadline,
+    deadlineAt,
+    deadlines,
+    opensAt,
+    amount,
+    amountDetails,
+    description: description.slice(0, 920),
+    eligibility,
+    summary: null,
+    matchedTags: [],
+    rawSignals: {
+      extractedAt: now.toISOString(),
+      sourceType: candidate.sourceType,
+      adapter: adapter.name,
+      fieldSources,
+      textSample: text.slice(0, 1600)
+    }
+  };
+
+  const mapped = adapter.mapFields ? adapter.mapFields(item, { ...context, text: merged }) : null;
+  return { ...item, ...(mapped || {}) };
+}
+
+// Items reused from an unchanged page were parsed on an earlier day, so only re-check what depends on the clock.
+function refreshTimeSensitiveFields(item) {
+  const promoted = nextDeadline(item.deadlines, now.getTime());
+  const next =
+    promoted && promoted.date !== item.deadline
+      ? { ...item, deadline: promoted.date, deadlineAt: deadlineAtFor(promoted.date, promoted) }
+      : item;
+
+  const status = itemStatus(next, now.getTime());
+  return status === next.status ? next : { ...next, status };
+}
+
+function reuseUnchangedItem(page, candidate, previousByUrl) {
+  if (!page.unchanged) return null;
+  const prev = previousByUrl.get(canonicalizeUrl(candidate.url));
+  if (!prev || prev.sourceId !== candidate.source.id || prev.rawSignals?.bodyHash !== page.bodyHash) return null;
+
+  const { isNew, isUpdated, urlCheck, lastSeenAt, ...rest } = prev;
+  return refreshTimeSensitiveFields({
+    ...rest,
+    url: canonicalizeUrl(candidate.url),
+    rawSignals: {
+      ...(prev.rawSignals || {}),
+      extractedAt: now.toISOString(),
+      reusedFrom: prev.rawSignals?.extractedAt || null
+    }
+  });
+}
+
+// Resolves a source's sitemap config into detail candidates: declared URLs plus (with `discover`)
+// the Sitemap lines of the homepage's robots.txt. Sitemap indexes are followed one level deep.
+async function collectSitemapCandidates(source, { maxPerSource, pool, errors }) {
+  const config = source.sitemap;
+  if (!config) return [];
+
+  const sitemapUrls = [...(config.urls || [])];
+  if (config.discover && source.homepage) {
+    sitemapUrls.push(...(await getRobotsSitemaps(source.homepage)));
+  }
+
+  const queue = [...new Set(sitemapUrls.map((url) => canonicalizeUrl(url)))];
+  const visited = new Set();
+  const entries = [];
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAP_FILES) {
+    const batch = queue.splice(0, MAX_SITEMAP_FILES - visited.size).filter((url) => !visited.has(url));
+    batch.forEach((url) => visited.add(url));
+
+    const pages = await Promise.all(batch.map((url) => settle(pool.fetch(url, fetchText))));
+    pages.forEach(({ value: xml, error }, index) => {
+      const sitemapUrl = batch[index];
+      if (error) {
+        errors.push({ seedUrl: sitemapUrl, error: error.message });
+        return;
+      }
+
+      const parsed = parseSitemap(xml);
+      if (parsed.type === "index") {
+        const children = selectSitemapEntries(parsed.entries, { maxAgeDays: config.maxAgeDays, nowMs: now.getTime() });
+        queue.push(...children.map((entry) => canonicalizeUrl(entry.loc)));
+        return;
+      }
+      entries.push(...parsed.entries.map((entry) => ({ ...entry, sitemapUrl })));
+    });
+  }
+
+  const allowedHosts = resolveAllowedHosts(source);
+  const selected = selectSitemapEntries(entries, {
+    include: config.include || [],
+    maxAgeDays: config.maxAgeDays,
+    nowMs: now.getTime()
+  }).filter((entry) => hostMatchesAllowed(getHost(entry.loc), allowedHosts));
+
+  return selected.slice(0, Number(config.maxUrls || maxPerSource)).map((entry) => ({
+    seedUrl: entry.sitemapUrl,
+    source,
+    url: canonicalizeUrl(entry.loc),
+    anchorText: titleFromUrlSlug(entry.loc),
+    sourceType: "sitemap"
+  }));
+}
+
+function nextListingUrl(pageUrl, html, pagination, pagesFetched) {
+  if (pagination.relNext !== false) {
+    const next = extractRelNext(html, pageUrl);
+    if (next) return next;
+  }
+
+  const pageNumber = Number(pagination.firstPage ?? 1) + pagesFetched;
+  if (pagination.template) return pagination.template.replace("{page}", String(pageNumber));
+  if (pagination.param) {
+    const url = new URL(pageUrl);
+    url.searchParams.set(pagination.param, String(pageNumber));
+    return url.toString();
+  }
+  return null;
+}
+
+// Walks a seed's listing pages one at a time until there is no next page, a page adds no new
+// links, or the source's `pagination.maxPages` is reached. Without `pagination` only the seed is read.
+async function walkListing(seedUrl, { source, adapter, maxPerSource, pool }) {
+  const pagination = source.pagination || null;
+  const maxPages = pagination ? Math.max(1, Number(pagination.maxPages || MAX_LISTING_PAGES)) : 1;
   const candidates = [];
   const errors = [];
-
-  for (const seedUrl of source.seedUrls || []) {
+  const skipped = [];
+  const visited = new Set();
+  const seenLinks = new Set();
+  let pageUrl = seedUrl;
+  let pages = 0;
+
+  while (pageUrl && pages < maxPages && !visited.has(canonicalizeUrl(pageUrl))) {
+    visited.add(canonicalizeUrl(pageUrl));
+    const currentUrl = pageUrl;
+    pageUrl = null;
+
+    const { value: html, error: fetchError } = await settle(pool.fetch(currentUrl, fetchText));
     try {
-      const html = await fetchText(seedUrl);
+      if (fetchError) throw fetchError;
+      pages += 1;
+
       if (/<rss[\s>]/i.test(html) || /<feed[\s>]/i.test(html)) {
         const rssItems = parseRssItems(html, source);
         candidates.push(...rssItems);
-        continue;
+        break;
       }
 
-      const links = extractLinks(html, seedUrl);
-      const picks = pickCandidateLinks(links, source, maxPerSource);
+      const listingContext = { source, seedUrl: currentUrl, maxPerSource };
+      const picks =
+        (adapter.parseListing && adapter.parseListing(html, listingContext)) ||
+        GENERIC_ADAPTER.parseListing(html, listingContext);
+      const fresh = picks.filter((link) => !seenLinks.has(link.url));
 
-      for (const link of picks) {
+      for (const link of fresh) {
+        seenLinks.add(link.url);
         candidates.push({
-          seedUrl,
+          seedUrl: currentUrl,
           source,
           url: link.url,
           anchorText: link.text,
@@ -1552,7 +1617,7 @@ async function parseSource(source, maxPerSource) {
       }
 
       // Add seed page itself as a potential summary record.
-      if (INCLUDE_SEED_PAGE_ITEMS) {
+      if (pages === 1 && INCLUDE_SEED_PAGE_ITEMS) {
         candidates.push({
           seedUrl,
           source,
@@ -1561,76 +1626,125 @@ async function parseSource(source, maxPerSource) {
           sourceType: "seed_page"
         });
       }
+
+      if (pagination && fresh.length > 0) pageUrl = nextListingUrl(currentUrl, html, pagination, pages);
     } catch (error) {
-      errors.push({ seedUrl, error: error.message });
+      if (error.code === "ROBOTS_DISALLOWED") {
+        skipped.push({ sourceId: source.id, url: currentUrl, reason: "robots_disallowed" });
+      } else if (!(pages > 0 && error.status === 404)) {
+        // A 404 past the first page just means the listing ran out.
+        errors.push({ seedUrl: currentUrl, error: error.message });
+      }
     }
   }
 
+  return { candidates, errors, skipped, pages };
+}
+
+async function parseSource(source, { maxPerSource, previousByUrl = new Map(), pool }) {
+  const startedAt = performance.now();
+  const candidates = [];
+  const errors = [];
+  const skipped = [];
+  const adapter = resolveAdapter(source, errors);
+  const configErrors = errors.length;
+  const seedUrls = source.seedUrls || [];
+  const dropped = {};
+  const drop = (reason) => {
+    dropped[reason] = (dropped[reason] || 0) + 1;
+  };
+
+  // Fetches go through the shared pool; results are handled in seed/candidate order so output stays deterministic.
+  const listings = await Promise.all(
+    seedUrls.map((seedUrl) => walkListing(seedUrl, { source, adapter, maxPerSource, pool }))
+  );
+  let listingPages = 0;
+  for (const listing of listings) {
+    candidates.push(...listing.candidates);
+    errors.push(...listing.errors);
+    skipped.push(...listing.skipped);
+    listingPages += listing.pages;
+  }
+
+  const sitemapCandidates = await collectSitemapCandidates(source, { maxPerSource, pool, errors });
+  candidates.push(...sitemapCandidates);
+
   const result = [];
   const detailCandidates = [];
+  const seenDetail = new Set();
 
   for (const item of candidates) {
     if (item.id) {
       result.push(item);
       continue;
     }
+    if (seenDetail.has(item.url)) {
+      drop("duplicate_url");
+      continue;
+    }
+    seenDetail.add(item.url);
     detailCandidates.push(item);
   }
 
-  const seenDetail = new Set();
-  for (const candidate of detailCandidates) {
-    if (result.length >= MAX_DETAIL_FETCH) break;
-    if (seenDetail.has(candidate.url)) continue;
-    seenDetail.add(candidate.url);
+  const feedItems = result.length;
+  const toFetch = detailCandidates.slice(0, Math.max(0, MAX_DETAIL_FETCH - result.length));
+  if (toFetch.length < detailCandidates.length) dropped.fetch_limit = detailCandidates.length - toFetch.length;
+  let detailFetched = 0;
+  let reusedItems = 0;
+  const detailPages = await Promise.all(toFetch.map((candidate) => settle(pool.fetch(candidate.url, fetchPage))));
 
+  detailPages.forEach(({ value: page, error: fetchError }, index) => {
+    const candidate = toFetch[index];
     try {
-      const html = await fetchText(candidate.url);
-      const text = stripHtml(html);
-      const title = pickFirstNonEmpty(extractTitle(html), candidate.anchorText);
-      const description = pickFirstNonEmpty(extractMetaDescription(html), text.slice(0, 860));
-      const merged = `${title} ${description} ${text.slice(0, 4000)}`;
-
-      const deadline = extractDeadline(merged);
-      const amount = extractAmount(merged);
-      const type = classifyType(`${title} ${candidate.url} ${description}`);
-      const eligibility = {
-        levels: inferLevels(merged),
-        careerStages: inferCareerStage(merged),
-        nationalities: inferNationalities(merged),
-        disciplines: inferDisciplines(merged)
-      };
+      if (fetchError) throw fetchError;
+      detailFetched += 1;
+
+      const reused = reuseUnchangedItem(page, candidate, previousByUrl);
+      if (reused) {
+        reusedItems += 1;
+        result.push(reused);
+        return;
+      }
 
-      const item = {
-        id: sha1(`${candidate.source.id}|${candidate.url}|${title}`),
-        title,
-        url: canonicalizeUrl(candidate.url),
-        sourceId: candidate.source.id,
-        sourceName: candidate.source.name,
-        sourceHomepage: candidate.source.homepage,
-        type,
-        status: inferStatus(merged, deadline),
-        deadline,
-        amount,
-        description: description.slice(0, 920),
-        eligibility,
-        summary: null,
-        matchedTags: [],
-        rawSignals: {
-          extractedAt: now.toISOString(),
-          sourceType: candidate.sourceType,
-          textSample: text.slice(0, 1600)
-        }
-      };
+      const item = buildDetailItem(page.body, candidate, adapter);
+      item.rawSignals.bodyHash = page.bodyHash;
 
-      if (shouldKeepOpportunity(item)) {
-        result.push(item);
+      const rejectReason = opportunityRejectReason(item);
+      if (rejectReason) {
+        drop(rejectReason);
+        return;
       }
+      result.push(item);
     } catch (error) {
+      if (error.code === "ROBOTS_DISALLOWED") {
+        drop("robots_disallowed");
+        skipped.push({ sourceId: source.id, url: candidate.url, reason: "robots_disallowed" });
+        return;
+      }
+      drop("fetch_error");
       errors.push({ seedUrl: candidate.seedUrl, detailUrl: candidate.url, error: error.message });
     }
-  }
+  });
 
-  return { items: result, errors };
+  const health = {
+    sourceId: source.id,
+    name: source.name,
+    seeds: seedUrls.length,
+    seedsFetched: listings.filter((listing) => listing.pages > 0).length,
+    listingPages,
+    sitemapCandidates: sitemapCandidates.length,
+    candidates: feedItems + detailCandidates.length,
+    detailFetched,
+    reusedItems,
+    itemsKept: result.length,
+    dropped,
+    httpErrors: errors.length - configErrors,
+    robotsSkipped: skipped.length,
+    errors: errors.slice(0, 5),
+    durationMs: Math.round(performance.now() - startedAt)
+  };
+
+  return { items: result, errors, skipped, listingPages, health };
 }
 
 function mergeAndDedupe(items) {
@@ -1646,7 +1760,7 @@ function mergeAndDedupe(items) {
     const prev = byUrl.get(key);
     const prevScore = (prev.description?.length || 0) + (prev.deadline ? 30 : 0);
     const nextScore = (item.description?.length || 0) + (item.deadline ? 30 : 0);
-    if (nextScore > prevScore) byUrl.set(key, item);
+    byUrl.set(key, { ...(nextScore > prevScore ? item : prev), listedBy: combineListings(prev, item) });
   }
 
   return [...byUrl.values()];
@@ -1660,13 +1774,13 @@ function normalizeEligibility(eligibility) {
     ? eligibility.career_stages
     : [];
   const nationalities = Array.isArray(eligibility?.nationalities) ? eligibility.nationalities : [];
-  const disciplines = Array.isArray(eligibility?.disciplines) ? eligibility.disciplines : [];
 
   return {
     levels: [...new Set(levels.map((x) => String(x).toLowerCase()).filter(Boolean))],
     careerStages: [...new Set(careerStages.map((x) => String(x).toLowerCase()).filter(Boolean))],
     nationalities: [...new Set(nationalities.map((x) => String(x).toLowerCase()).filter(Boolean))],
-    disciplines: [...new Set(disciplines.map((x) => normalizeWhitespace(String(x).toLowerCase())).filter(Boolean))]
+    disciplines: normalizeDisciplines(eligibility?.disciplines),
+    ...normalizeEligibilityRules(eligibility)
   };
 }
 
@@ -1675,7 +1789,8 @@ async function enrichWithSummaries(items, previousMap) {
 
   for (const item of items) {
     const prev = previousMap.get(item.id);
-    const shouldReuse = prev && prev.fingerprint === item.fingerprint && prev.summary;
+    const sameBody = Boolean(item.rawSignals?.bodyHash && prev?.rawSignals?.bodyHash === item.rawSignals.bodyHash);
+    const shouldReuse = prev && (prev.fingerprint === item.fingerprint || sameBody) && prev.summary;
 
     if (shouldReuse) {
       item.summary = prev.summary;
@@ -1716,9 +1831,9 @@ async function enrichWithSummaries(items, previousMap) {
 
 function sortItems(items) {
   return items.sort((a, b) => {
-    const statusRank = { open: 0, unknown: 1, closed: 2 };
-    const sa = statusRank[a.status] ?? 3;
-    const sb = statusRank[b.status] ?? 3;
+    const statusRank = { open: 0, upcoming: 1, unknown: 2, closed: 3 };
+    const sa = statusRank[a.status] ?? 4;
+    const sb = statusRank[b.status] ?? 4;
     if (sa !== sb) return sa - sb;
 
     const da = a.deadline ? Date.parse(`${a.deadline}T00:00:00Z`) : Infinity;
@@ -1752,6 +1867,20 @@ function buildSiteConfig() {
 async function main() {
   const args = parseArgs();
   const maxPerSource = Number(args.get("--max-per-source") || DEFAULT_MAX_PER_SOURCE);
+  const fixtureManifest = await configureFixtures({
+    record: typeof args.get("--record") === "string" ? path.resolve(ROOT, args.get("--record")) : "",
+    replay: typeof args.get("--replay") === "string" ? path.resolve(ROOT, args.get("--replay")) : ""
+  });
+
+  // Replays run against the recording's clock so deadlines and day counts come out the same every time.
+  if (isReplayMode() && fixtureManifest?.recordedAt) {
+    now = new Date(fixtureManifest.recordedAt);
+  }
+
+  // Fixture runs must see every response in full, so the conditional-request cache only applies to live runs.
+  if (!args.get("--no-http-cache") && !args.has("--record") && !args.has("--replay")) {
+    await openHttpCache(path.resolve(ROOT, process.env.HTTP_CACHE_DIR || path.join(".cache", "http")));
+  }
 
   await ensureDirs();
 
@@ -1763,15 +1892,29 @@ async function main() {
   const previousData = await readJson(OUTPUT_FILE, { items: [] });
   const previousItems = Array.isArray(previousData?.items) ? previousData.items : [];
   const previousMap = new Map(previousItems.map((item) => [item.id, item]));
+  const previousByUrl = new Map();
+  for (const item of previousItems) {
+    previousByUrl.set(canonicalizeUrl(item.url), item);
+    if (item.urlCheck?.originalUrl) previousByUrl.set(canonicalizeUrl(item.urlCheck.originalUrl), item);
+  }
 
   const allItems = [];
   const allErrors = [];
+  const allSkipped = [];
 
-  for (const source of sources) {
-    const { items, errors } = await parseSource(source, maxPerSource);
+  const crawlPool = createCrawlPool(CRAWL_CONCURRENCY);
+  const sourceResults = await Promise.all(
+    sources.map((source) => parseSource(source, { maxPerSource, previousByUrl, pool: crawlPool }))
+  );
+  const listingPages = {};
+  const healthRecords = [];
+  sourceResults.forEach(({ items, errors, skipped, listingPages: pages, health }, index) => {
     allItems.push(...items);
-    allErrors.push(...errors);
-  }
+    allErrors.push(...errors.map((error) => ({ sourceId: sources[index].id, ...error })));
+    allSkipped.push(...skipped);
+    listingPages[sources[index].id] = pages;
+    healthRecords.push(health);
+  });
 
   let deduped = mergeAndDedupe(allItems);
 
@@ -1809,8 +1952,11 @@ async function main() {
 
   const urlVerification = await verifyOpportunityUrls(deduped, sources);
   deduped = mergeAndDedupe(urlVerification.items);
+  const duplicates = mergeDuplicates(deduped, sources);
+  deduped = duplicates.items;
   allErrors.push(
     ...urlVerification.droppedItems.map((entry) => ({
+      sourceId: entry.sourceId,
       seedUrl: entry.url,
       error: `URL dropped (${entry.reason}): ${entry.detail}`
     }))
@@ -1822,17 +1968,27 @@ async function main() {
 
   deduped = deduped.slice(0, Number(process.env.MAX_TOTAL_ITEMS || 320));
 
+  const identity = resolveIdentities(deduped, previousItems, { recordedAt: now.toISOString() });
+  deduped = identity.items;
+
   for (const item of deduped) {
     item.fingerprint = buildFingerprint(item);
   }
 
   await enrichWithSummaries(deduped, previousMap);
+  await saveHttpCache();
 
   for (const item of deduped) {
     item.lastSeenAt = now.toISOString();
   }
 
   const sortedItems = sortItems(deduped);
+  const changelog = updateChangelog(
+    await readJson(CHANGELOG_FILE, null),
+    new Map(sortedItems.map((item) => [item.id, detectChanges(previousMap.get(item.id), item, now.toISOString())])),
+    sortedItems.map((item) => item.id),
+    { generatedAt: now.toISOString() }
+  );
   const finalItems = sortedItems.map((item) => {
     const prev = previousMap.get(item.id);
     const isNew = !prev;
@@ -1841,7 +1997,8 @@ async function main() {
     return {
       ...item,
       isNew,
-      isUpdated
+      isUpdated,
+      recentChanges: (changelog.items[item.id] || []).slice(-RECENT_CHANGES_PER_ITEM)
     };
   });
 
@@ -1851,6 +2008,7 @@ async function main() {
   const stats = {
     total: finalItems.length,
     open: finalItems.filter((item) => item.status === "open").length,
+    upcoming: finalItems.filter((item) => item.status === "upcoming").length,
     unknown: finalItems.filter((item) => item.status === "unknown").length,
     closed: finalItems.filter((item) => item.status === "closed").length,
     withDeadline: finalItems.filter((item) => Boolean(item.deadline)).length,
@@ -1859,9 +2017,19 @@ async function main() {
     sourcesConfigured: sources.length
   };
 
+  const publishedBySource = new Map();
+  for (const item of finalItems) publishedBySource.set(item.sourceId, (publishedBySource.get(item.sourceId) || 0) + 1);
+  const sourceHealth = buildSourceHealthReport({
+    generatedAt: now.toISOString(),
+    records: healthRecords.map((record) => ({ ...record, published: publishedBySource.get(record.sourceId) || 0 })),
+    previousReport: await readJson(SOURCE_HEALTH_FILE, null),
+    historyLimit: SOURCE_HEALTH_HISTORY_RUNS
+  });
+
   const output = {
     generatedAt: now.toISOString(),
     generatedDate: now.toISOString().slice(0, 10),
+    taxonomyVersion: TAXONOMY_VERSION,
     stats,
     digest,
     sources: sources.map((s) => ({
@@ -1873,11 +2041,18 @@ async function main() {
     items: finalItems,
     diagnostics: {
       errors: allErrors.slice(0, 120),
+      skippedUrls: allSkipped.slice(0, 120),
+      listingPages,
+      sourceHealth: sourceHealth.summary,
       previousItemCount: previousItems.length,
       currentItemCount: finalItems.length,
-      aiEnabled: Boolean(process.env.OPENROUTER_API_KEY),
+      aiEnabled: Boolean(process.env.OPENROUTER_API_KEY) && !isReplayMode(),
       aiModelCandidates: getOpenRouterModelCandidates(),
-      urlVerification: urlVerification.summary
+      urlVerification: urlVerification.summary,
+      duplicateMerges: duplicates.decisions.slice(0, 120),
+      identityMatches: identity.matches.slice(0, 120),
+      httpCache: getHttpCacheStats(),
+      politeness: getPolitenessStats()
     }
   };
 
@@ -1885,6 +2060,25 @@ async function main() {
 
   const historyFile = path.join(HISTORY_DIR, `${output.generatedDate}.json`);
   await writeFile(historyFile, `${JSON.stringify(output, null, 2)}\n`, "utf8");
+  const compaction = await compactHistory(HISTORY_DIR, { ...HISTORY_RETENTION, today: output.generatedDate });
+
+  const historyIndex = await buildHistoryIndex(HISTORY_DIR, {
+    previousIndex: await readJson(HISTORY_INDEX_FILE, null),
+    refreshDate: output.generatedDate,
+    retention: HISTORY_RETENTION
+  });
+  await writeFile(
+    HISTORY_INDEX_FILE,
+    `${JSON.stringify({ generatedAt: output.generatedAt, ...historyIndex }, null, 2)}\n`,
+    "utf8"
+  );
+
+  // Written compact: it grows with every item ever seen and is only read by the site's detail view.
+  const itemTimelines = await buildItemTimelineIndex(HISTORY_DIR);
+  await writeFile(HISTORY_ITEMS_FILE, `${JSON.stringify({ generatedAt: output.generatedAt, ...itemTimelines })}\n`, "utf8");
+
+  await writeFile(SOURCE_HEALTH_FILE, `${JSON.stringify(sourceHealth, null, 2)}\n`, "utf8");
+  await writeFile(CHANGELOG_FILE, `${JSON.stringify(changelog, null, 2)}\n`, "utf8");
 
   await writeFile(path.join(OUTPUT_DIR, "digest.latest.md"), `${output.digest.markdown}\n`, "utf8");
 
@@ -1896,10 +2090,13 @@ async function main() {
       title: item.title,
       url: item.url,
       sourceName: item.sourceName,
+      listedBy: item.listedBy || [],
       type: item.type,
       status: item.status,
       deadline: item.deadline,
+      opensAt: item.opensAt || null,
       amount: item.amount,
+      amountDetails: item.amountDetails || null,
       summary: item.summary?.en || item.summary?.zh || "",
       levels: item.eligibility?.levels || [],
       disciplines: item.eligibility?.disciplines || [],
@@ -1930,6 +2127,16 @@ async function main() {
   console.log(`Generated ${finalItems.length} opportunities from ${sources.length} sources.`);
   console.log(`Open opportunities: ${stats.open}, new today: ${stats.newToday}, updated today: ${stats.updatedToday}`);
   console.log(`Digest subject: ${digest.subject}`);
+  if (compaction.archived.length > 0 || compaction.removed.length > 0) {
+    console.log(`History: archived ${compaction.archived.length}, removed ${compaction.removed.length} snapshot(s)`);
+  }
+  for (const entry of sourceHealth.sources.filter((x) => x.status !== "ok")) {
+    const previous = entry.previousItemsKept === null ? "" : ` (previous run: ${entry.previousItemsKept})`;
+    console.warn(`[warn] Source ${entry.sourceId} is ${entry.status}: ${entry.itemsKept} item(s) kept${previous}`);
+  }
+  if (allSkipped.length > 0) {
+    console.log(`Skipped by robots.txt: ${allSkipped.length} URL(s)`);
+  }
   if (allErrors.length > 0) {
     console.log(`Source warnings: ${allErrors.length} (showing first 5)`);
     for (const err of allErrors.slice(0, 5)) {
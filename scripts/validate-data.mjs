@@ -2,6 +2,9 @@ import { readFile } from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 
+import { ALL_DISCIPLINES, DISCIPLINES } from "../docs/assets/taxonomy.js";
+import { CONTRACT_REQUIREMENTS, HOST_INSTITUTION_TYPES } from "./lib/eligibility.mjs";
+
 function isIsoDate(value) {
   return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
 }
@@ -27,6 +30,10 @@ function addWarning(warnings, message) {
   warnings.push({ level: "warning", message });
 }
 
+const VALID_DEADLINE_STAGES = new Set(["registration", "outline", "full", "round", "final", "rolling"]);
+const KNOWN_DISCIPLINES = new Set([ALL_DISCIPLINES, ...DISCIPLINES.map((entry) => entry.id)]);
+const VALID_CURRENCIES = new Set(["GBP", "EUR", "USD"]);
+const VALID_AMOUNT_PERIODS = new Set(["year", "month", "total"]);
 const VERIFIED_URL_STATUSES = new Set(["reachable", "reachable_with_redirect", "reachable_restricted"]);
 const NON_SPECIFIC_TITLE_PATTERNS = [
   /\bapply for and manage your funding\b/i,
@@ -169,7 +176,7 @@ export function validateDataset(dataset, options = {}) {
 
   const ids = new Set();
   const urls = new Set();
-  const validStatuses = new Set(["open", "closed", "unknown"]);
+  const validStatuses = new Set(["open", "upcoming", "closed", "unknown"]);
   const validTypes = new Set(["grant", "fellowship", "scholarship", "call", "award"]);
 
   dataset.items.forEach((item, index) => {
@@ -188,7 +195,13 @@ export function validateDataset(dataset, options = {}) {
     }
 
     if (!validStatuses.has(item.status)) {
-      addError(errors, `${prefix}.status must be one of open/closed/unknown`);
+      addError(errors, `${prefix}.status must be one of ${[...validStatuses].join("/")}`);
+    }
+
+    if (item.opensAt && Number.isNaN(Date.parse(item.opensAt))) {
+      addError(errors, `${prefix}.opensAt must be an ISO datetime`);
+    } else if (item.status === "upcoming" && !item.opensAt) {
+      addWarning(warnings, `${prefix}.opensAt is missing for an upcoming item`);
     }
 
     if (!validTypes.has(item.type)) {
@@ -199,6 +212,77 @@ export function validateDataset(dataset, options = {}) {
       addWarning(warnings, `${prefix}.deadline should be YYYY-MM-DD`);
     }
 
+    if (item.deadlineAt && Number.isNaN(Date.parse(item.deadlineAt))) {
+      addWarning(warnings, `${prefix}.deadlineAt should be an ISO datetime`);
+    }
+
+    if (item.deadlines !== undefined) {
+      if (!Array.isArray(item.deadlines)) {
+        addError(errors, `${prefix}.deadlines must be an array`);
+      } else {
+        item.deadlines.forEach((entry, stageIndex) => {
+          const stagePrefix = `${prefix}.deadlines[${stageIndex}]`;
+          if (!VALID_DEADLINE_STAGES.has(entry?.stage)) {
+            addError(errors, `${stagePrefix}.stage must be one of ${[...VALID_DEADLINE_STAGES].join("/")}`);
+          }
+          if (entry?.date !== null && !isIsoDate(entry?.date)) {
+            addError(errors, `${stagePrefix}.date must be YYYY-MM-DD or null`);
+          }
+          if (entry?.time && !/^\d{2}:\d{2}$/.test(entry.time)) {
+            addWarning(warnings, `${stagePrefix}.time should be HH:MM`);
+          }
+        });
+
+        const dates = item.deadlines.map((entry) => entry?.date).filter(Boolean);
+        if (dates.length > 0 && !dates.includes(item.deadline)) {
+          addWarning(warnings, `${prefix}.deadline is not one of its deadlines[] dates`);
+        }
+      }
+    }
+
+    if (item.aliases !== undefined) {
+      if (!Array.isArray(item.aliases)) {
+        addError(errors, `${prefix}.aliases must be an array`);
+      } else if (item.aliases.some((alias) => !isNonEmptyString(alias?.title) || !isValidUrl(alias?.url))) {
+        addWarning(warnings, `${prefix}.aliases entries should have a title and a valid url`);
+      }
+    }
+
+    if (item.listedBy !== undefined) {
+      if (!Array.isArray(item.listedBy)) {
+        addError(errors, `${prefix}.listedBy must be an array`);
+      } else if (item.listedBy.length > 0 && !item.listedBy.some((entry) => entry?.sourceId === item.sourceId)) {
+        addWarning(warnings, `${prefix}.listedBy does not include the item's own source (${item.sourceId})`);
+      }
+    }
+
+    if (item.recentChanges !== undefined) {
+      if (!Array.isArray(item.recentChanges)) {
+        addError(errors, `${prefix}.recentChanges must be an array`);
+      } else if (item.recentChanges.some((entry) => !isNonEmptyString(entry?.field) || !isNonEmptyString(entry?.note))) {
+        addWarning(warnings, `${prefix}.recentChanges entries should have a field and a note`);
+      }
+    }
+
+    if (item.amountDetails) {
+      const { min, max, currency, period, fecPercent } = item.amountDetails;
+      const bounds = [min, max];
+      if (bounds.some((value) => value !== null && !(typeof value === "number" && value >= 0))) {
+        addError(errors, `${prefix}.amountDetails.min/max must be non-negative numbers or null`);
+      } else if (min !== null && max !== null && min > max) {
+        addError(errors, `${prefix}.amountDetails.min is greater than max`);
+      }
+      if (!VALID_CURRENCIES.has(currency)) {
+        addWarning(warnings, `${prefix}.amountDetails.currency is non-standard (${currency})`);
+      }
+      if (period !== null && !VALID_AMOUNT_PERIODS.has(period)) {
+        addWarning(warnings, `${prefix}.amountDetails.period should be one of ${[...VALID_AMOUNT_PERIODS].join("/")}`);
+      }
+      if (fecPercent !== null && !(fecPercent > 0 && fecPercent <= 100)) {
+        addWarning(warnings, `${prefix}.amountDetails.fecPercent should be a percentage`);
+      }
+    }
+
     const summaryText = item?.summary?.en || item?.summary?.zh || "";
     if (!isNonEmptyString(summaryText)) {
       addWarning(warnings, `${prefix}.summary is empty`);
@@ -212,6 +296,23 @@ export function validateDataset(dataset, options = {}) {
           addWarning(warnings, `${prefix}.eligibility.${field} should be an array`);
         }
       });
+
+      const unknownDisciplines = (item.eligibility.disciplines || []).filter((value) => !KNOWN_DISCIPLINES.has(value));
+      if (unknownDisciplines.length > 0) {
+        addWarning(warnings, `${prefix}.eligibility.disciplines not in the taxonomy (${unknownDisciplines.join(", ")})`);
+      }
+
+      const { hostInstitutions, contractRequirement, yearsSincePhd } = item.eligibility;
+      const validHosts = Array.isArray(hostInstitutions) && hostInstitutions.every((x) => HOST_INSTITUTION_TYPES.includes(x));
+      if (hostInstitutions !== undefined && !validHosts) {
+        addWarning(warnings, `${prefix}.eligibility.hostInstitutions should list ${HOST_INSTITUTION_TYPES.join("/")}`);
+      }
+      if (contractRequirement && !CONTRACT_REQUIREMENTS.includes(contractRequirement)) {
+        addWarning(warnings, `${prefix}.eligibility.contractRequirement should be ${CONTRACT_REQUIREMENTS.join("/")} or null`);
+      }
+      if (typeof yearsSincePhd?.min === "number" && typeof yearsSincePhd?.max === "number" && yearsSincePhd.min > yearsSincePhd.max) {
+        addWarning(warnings, `${prefix}.eligibility.yearsSincePhd.min is greater than max`);
+      }
     }
 
     if (!item.urlCheck || typeof item.urlCheck !== "object") {
@@ -0,0 +1,122 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { getAdapter } from "../scripts/adapters/index.mjs";
+
+test("getAdapter returns null for unknown adapters", () => {
+  assert.equal(getAdapter("does-not-exist"), null);
+  assert.equal(getAdapter(undefined), null);
+});
+
+test("ukri-opportunity listing keeps only opportunity detail pages", () => {
+  const adapter = getAdapter("ukri-opportunity");
+  const html = `
+    <a href="/opportunity/">All opportunities</a>
+    <a href="/opportunity/page/2/">Next page</a>
+    <a href="/opportunity/metascience-research-grants-round-2/">Metascience research grants</a>
+    <a href="/opportunity/metascience-research-grants-round-2/">Metascience research grants: round two</a>
+    <a href="/about-us/">About us</a>
+  `;
+
+  const links = adapter.parseListing(html, { seedUrl: "https://www.ukri.org/opportunity/", maxPerSource: 10 });
+  assert.deepEqual(links, [
+    {
+      url: "https://www.ukri.org/opportunity/metascience-research-grants-round-2",
+      text: "Metascience research grants: round two"
+    }
+  ]);
+});
+
+test("ukri-opportunity listing defers to the generic crawler without opportunity links", () => {
+  const adapter = getAdapter("ukri-opportunity");
+  const html = '<a href="/what-we-do/">What we do</a>';
+  assert.equal(adapter.parseListing(html, { seedUrl: "https://www.ukri.org/", maxPerSource: 10 }), null);
+});
+
+test("ukri-opportunity detail reads the summary table", () => {
+  const adapter = getAdapter("ukri-opportunity");
+  const html = `
+    <h1><span>Funding opportunity:</span> Metascience research grants: round two</h1>
+    <meta name="description" content="Apply for funding to research the practice of research.">
+    <dl>
+      <dt>Opportunity status:</dt><dd><span>Open</span></dd>
+      <dt>Funding type:</dt><dd>Grant</dd>
+      <dt>Total fund:</dt><dd>£5,000,000</dd>
+      <dt>Closing date:</dt><dd>23 April 2026 4:00pm UK time</dd>
+    </dl>
+  `;
+  const candidate = { url: "https://www.ukri.org/opportunity/metascience-research-grants-round-2" };
+
+  const fields = adapter.parseDetail(html, { candidate });
+  assert.equal(fields.title, "Metascience research grants: round two");
+  assert.equal(fields.description, "Apply for funding to research the practice of research.");
+  assert.equal(fields.status, "open");
+  assert.equal(fields.type, "grant");
+  assert.equal(fields.amount, "£5,000,000");
+  assert.equal(fields.deadline, "2026-04-23");
+  assert.equal(fields.deadlineTime, "16:00");
+  assert.equal(fields.deadlineTimezone, "Europe/London");
+  assert.equal(fields.openingDate, null);
+});
+
+test("ukri-opportunity detail reads an upcoming opening date", () => {
+  const adapter = getAdapter("ukri-opportunity");
+  const html = `
+    <h1>Funding opportunity: Future leaders fellowships: round 10</h1>
+    <dl>
+      <dt>Opportunity status:</dt><dd>Upcoming</dd>
+      <dt>Opening date:</dt><dd>2 March 2027 9:00am UK time</dd>
+      <dt>Closing date:</dt><dd>1 June 2027 4:00pm UK time</dd>
+    </dl>
+  `;
+  const candidate = { url: "https://www.ukri.org/opportunity/future-leaders-fellowships-round-10" };
+
+  const fields = adapter.parseDetail(html, { candidate });
+  assert.equal(fields.status, "upcoming");
+  assert.equal(fields.openingDate, "2027-03-02");
+  assert.equal(fields.openingTime, "09:00");
+  assert.equal(fields.deadline, "2027-06-01");
+});
+
+test("innovate-uk-ifs only handles competition overview pages", () => {
+  const adapter = getAdapter("innovate-uk-ifs");
+  const seedUrl = "https://apply-for-innovation-funding.service.gov.uk/competition/search";
+  const html = `
+    <a href="/competition/2419/overview/bb8d7d28">AI Champions: Frontier AI Phase 1</a>
+    <a href="/Logout">Sign out</a>
+  `;
+
+  const links = adapter.parseListing(html, { seedUrl, maxPerSource: 10 });
+  assert.equal(links.length, 1);
+  assert.equal(links[0].url, "https://apply-for-innovation-funding.service.gov.uk/competition/2419/overview/bb8d7d28");
+  assert.equal(adapter.parseListing(html, { seedUrl: "https://www.ukri.org/councils/innovate-uk/", maxPerSource: 10 }), null);
+});
+
+test("innovate-uk-ifs detail strips the caption and cookie banner", () => {
+  const adapter = getAdapter("innovate-uk-ifs");
+  const html = `
+    <div class="cookie-banner">Cookies on Innovation Funding Service</div>
+    <main>
+      <h1><span>Funding competition</span> Frontier AI Discovery</h1>
+      <p>Competition closes: Tuesday 14 April 2026 11:00am</p>
+      <p>UK registered businesses can apply for a share of up to £2.5 million.</p>
+    </main>
+  `;
+  const candidate = { url: "https://apply-for-innovation-funding.service.gov.uk/competition/2422/overview/a5c16dd4" };
+
+  const fields = adapter.parseDetail(html, { candidate });
+  assert.equal(fields.title, "Frontier AI Discovery");
+  assert.equal(fields.deadline, "2026-04-14");
+  assert.equal(fields.deadlineTime, "11:00");
+  assert.equal(fields.type, "call");
+  assert.ok(!fields.description.includes("Cookies"));
+});
+
+test("findaphd maps funded banner to nationality and level", () => {
+  const adapter = getAdapter("findaphd");
+  const item = { eligibility: { levels: [], careerStages: [], nationalities: ["any"], disciplines: [] } };
+
+  const mapped = adapter.mapFields(item, { text: "Funded PhD Project (UK Students Only)" });
+  assert.deepEqual(mapped.eligibility.levels, ["phd"]);
+  assert.deepEqual(mapped.eligibility.nationalities, ["uk"]);
+});
@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { describeChange, detectChanges, diffItem, updateChangelog } from "../scripts/lib/changelog.mjs";
+
+const DETECTED_AT = "2026-04-20T08:00:00.000Z";
+
+function makeItem(overrides = {}) {
+  return {
+    id: "item-1",
+    title: "Early Career Research Fellowship",
+    url: "https://funder.example.org/funding/early-career-fellowship",
+    status: "open",
+    opensAt: null,
+    deadline: "2026-04-30",
+    amount: "£250,000",
+    amountDetails: { min: null, max: 250000, currency: "GBP", period: null, fecPercent: null, raw: "£250,000" },
+    ...overrides
+  };
+}
+
+test("diffItem lists tracked fields that changed and treats missing as null", () => {
+  assert.deepEqual(diffItem(null, makeItem()), []);
+  assert.deepEqual(diffItem(makeItem(), makeItem({ description: "changed text" })), []);
+  assert.deepEqual(diffItem({ ...makeItem(), opensAt: undefined }, makeItem()), []);
+  assert.deepEqual(diffItem(makeItem(), makeItem({ status: "closed", deadline: null })), [
+    { field: "status", from: "open", to: "closed" },
+    { field: "deadline", from: "2026-04-30", to: null }
+  ]);
+});
+
+test("describeChange reads like a funder notice", () => {
+  assert.equal(
+    describeChange({ field: "deadline", from: "2026-04-30", to: "2026-05-14" }),
+    "Deadline extended from 2026-04-30 to 2026-05-14"
+  );
+  assert.equal(
+    describeChange({ field: "deadline", from: "2026-04-30", to: "2026-04-16" }),
+    "Deadline brought forward from 2026-04-30 to 2026-04-16"
+  );
+  assert.equal(
+    describeChange({ field: "opensAt", from: "2026-04-01T08:00:00.000Z", to: "2026-04-08T08:00:00.000Z" }),
+    "Opening date pushed back from 2026-04-01 to 2026-04-08"
+  );
+  assert.equal(describeChange({ field: "deadline", from: null, to: "2026-04-30" }), "Deadline added: 2026-04-30");
+  assert.equal(describeChange({ field: "amount", from: "£250,000", to: null }), "Amount removed (was £250,000)");
+  assert.equal(describeChange({ field: "status", from: "upcoming", to: "open" }), "Status changed from upcoming to open");
+  assert.equal(
+    describeChange({ field: "title", from: "Funding opportunity: X", to: "X" }),
+    'Retitled from "Funding opportunity: X" to "X"'
+  );
+});
+
+test("detectChanges compares amounts in the same currency", () => {
+  const previous = makeItem();
+  const reduced = makeItem({
+    amount: "£150,000",
+    amountDetails: { ...previous.amountDetails, max: 150000, raw: "£150,000" }
+  });
+  const [change] = detectChanges(previous, reduced, DETECTED_AT);
+  assert.deepEqual(change, {
+    field: "amount",
+    from: "£250,000",
+    to: "£150,000",
+    detectedAt: DETECTED_AT,
+    direction: "reduced",
+    note: "Amount reduced from £250,000 to £150,000"
+  });
+
+  const euro = makeItem({
+    amount: "€300,000",
+    amountDetails: { ...previous.amountDetails, currency: "EUR", max: 300000 }
+  });
+  assert.equal(detectChanges(previous, euro, DETECTED_AT)[0].note, "Amount changed from £250,000 to €300,000");
+});
+
+test("updateChangelog appends, caps and drops items no longer published", () => {
+  const previousLog = {
+    items: {
+      "item-1": [{ field: "status", from: "upcoming", to: "open", detectedAt: "2026-04-01T08:00:00.000Z" }],
+      gone: [{ field: "deadline", from: null, to: "2026-05-01", detectedAt: "2026-04-01T08:00:00.000Z" }]
+    }
+  };
+  const change = { field: "deadline", from: "2026-04-30", to: "2026-05-14", detectedAt: DETECTED_AT };
+  const log = updateChangelog(previousLog, new Map([["item-1", [change]]]), ["item-1", "item-2"], {
+    generatedAt: DETECTED_AT
+  });
+
+  assert.equal(log.generatedAt, DETECTED_AT);
+  assert.deepEqual(Object.keys(log.items), ["item-1"]);
+  assert.deepEqual(log.items["item-1"].map((entry) => entry.field), ["status", "deadline"]);
+
+  const sameDay = new Map([["item-1", [{ ...change, detectedAt: "2026-04-20T18:00:00.000Z" }]]]);
+  const rerun = updateChangelog(log, sameDay, ["item-1"], { generatedAt: DETECTED_AT });
+  assert.equal(rerun.items["item-1"].length, 2);
+
+  const capped = updateChangelog(log, new Map(), ["item-1"], { generatedAt: DETECTED_AT, maxEntries: 1 });
+  assert.deepEqual(capped.items["item-1"], [change]);
+});
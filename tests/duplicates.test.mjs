@@ -0,0 +1,145 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { combineListings, compareForDuplicate, mergeDuplicates } from "../scripts/lib/duplicates.mjs";
+
+const SOURCES = [
+  { id: "ukri", name: "UKRI", homepage: "https://www.ukri.org/opportunity/" },
+  { id: "esrc", name: "ESRC", homepage: "https://www.ukri.org/councils/esrc/" },
+  { id: "manchester", name: "University of Manchester", homepage: "https://www.manchester.ac.uk/study/" },
+  { id: "findaphd", name: "FindAPhD", homepage: "https://www.findaphd.com/phds/funded/", aggregator: true }
+];
+
+function makeItem(overrides = {}) {
+  return {
+    id: "ukri-1",
+    sourceId: "ukri",
+    sourceName: "UKRI",
+    title: "Funding opportunity: New Investigator Research Grant",
+    url: "https://www.ukri.org/opportunity/new-investigator-research-grant",
+    deadline: "2026-06-11",
+    amount: "£300,000",
+    amountDetails: { min: null, max: 300000, currency: "GBP", period: null, fecPercent: 80, raw: "£300,000" },
+    ...overrides
+  };
+}
+
+test("compareForDuplicate needs corroboration beyond a similar title", () => {
+  const a = makeItem();
+  const councilCopy = makeItem({ id: "esrc-1", sourceId: "esrc", title: "New Investigator Research Grant" });
+  assert.deepEqual(compareForDuplicate(a, councilCopy), {
+    similarity: 1,
+    evidence: ["title", "deadline", "amount", "funder"]
+  });
+
+  const otherFunder = makeItem({
+    id: "wellcome-1",
+    url: "https://wellcome.org/grant-funding/new-investigator-research-grant",
+    deadline: null,
+    amountDetails: null
+  });
+  assert.equal(compareForDuplicate(a, otherFunder), null);
+});
+
+test("compareForDuplicate keeps items apart when deadline or amount differ", () => {
+  const a = makeItem();
+  assert.equal(compareForDuplicate(a, makeItem({ id: "b", deadline: "2026-09-01" })), null);
+  assert.equal(
+    compareForDuplicate(a, makeItem({ id: "c", amountDetails: { ...a.amountDetails, max: 500000 } })),
+    null
+  );
+});
+
+test("mergeDuplicates prefers the funder's own listing over a council copy or an aggregator", () => {
+  const items = [
+    makeItem({
+      id: "phd-1",
+      sourceId: "findaphd",
+      sourceName: "FindAPhD",
+      title: "PhD Studentship in Urban Climate Adaptation",
+      url: "https://www.findaphd.com/phds/project/urban-climate-adaptation/?p1234",
+      deadline: "2026-05-01",
+      amountDetails: null
+    }),
+    makeItem({ id: "esrc-1", sourceId: "esrc", sourceName: "ESRC", title: "New Investigator Research Grant" }),
+    makeItem(),
+    makeItem({
+      id: "man-1",
+      sourceId: "manchester",
+      sourceName: "University of Manchester",
+      title: "PhD studentship: Urban Climate Adaptation",
+      url: "https://www.manchester.ac.uk/study/phd/urban-climate-adaptation",
+      deadline: "2026-05-01",
+      amount: null,
+      amountDetails: null
+    })
+  ];
+
+  const { items: merged, decisions } = mergeDuplicates(items, SOURCES);
+  assert.deepEqual(
+    merged.map((item) => item.id),
+    ["man-1", "ukri-1"]
+  );
+  assert.deepEqual(
+    merged[0].listedBy.map((entry) => entry.sourceId),
+    ["manchester", "findaphd"]
+  );
+  assert.deepEqual(
+    merged[1].listedBy.map((entry) => entry.sourceId),
+    ["ukri", "esrc"]
+  );
+
+  assert.equal(decisions.length, 2);
+  assert.deepEqual(decisions[1], {
+    keptId: "ukri-1",
+    keptSourceId: "ukri",
+    url: "https://www.ukri.org/opportunity/new-investigator-research-grant",
+    merged: [{ id: "esrc-1", sourceId: "esrc", url: "https://www.ukri.org/opportunity/new-investigator-research-grant" }],
+    matches: [{ id: "ukri-1", with: "esrc-1", similarity: 1, evidence: ["title", "deadline", "amount", "funder"] }]
+  });
+});
+
+test("mergeDuplicates does not join items with different deadlines through one without a deadline", () => {
+  const undated = makeItem({ deadline: null });
+  const firstRound = makeItem({ id: "esrc-1", sourceId: "esrc", deadline: "2026-04-01" });
+  const secondRound = makeItem({ id: "esrc-2", sourceId: "esrc", deadline: "2026-10-01" });
+  assert.equal(compareForDuplicate(firstRound, secondRound), null);
+
+  const { items, decisions } = mergeDuplicates([undated, firstRound, secondRound], SOURCES);
+  assert.deepEqual(
+    items.map((item) => [item.id, item.deadline]),
+    [
+      ["ukri-1", "2026-04-01"],
+      ["esrc-2", "2026-10-01"]
+    ]
+  );
+  assert.deepEqual(
+    decisions.map((decision) => decision.merged.map((entry) => entry.id)),
+    [["esrc-1"]]
+  );
+});
+
+test("mergeDuplicates fills a missing deadline from a duplicate", () => {
+  const primary = makeItem({ deadline: null, deadlineAt: null, deadlines: [] });
+  const copy = makeItem({
+    id: "esrc-1",
+    sourceId: "esrc",
+    deadlineAt: "2026-06-11T15:00:00.000Z",
+    deadlines: [{ label: "Deadline", date: "2026-06-11", stage: "final" }]
+  });
+
+  const { items } = mergeDuplicates([copy, primary], SOURCES);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].id, "ukri-1");
+  assert.equal(items[0].deadline, "2026-06-11");
+  assert.equal(items[0].deadlineAt, "2026-06-11T15:00:00.000Z");
+});
+
+test("combineListings keeps earlier listings and drops repeats", () => {
+  const a = makeItem({ listedBy: [{ sourceId: "ukri", sourceName: "UKRI", url: "https://www.ukri.org/a" }] });
+  const b = makeItem({ sourceId: "esrc", sourceName: "ESRC", url: "https://www.ukri.org/a" });
+  assert.deepEqual(combineListings(a, b, a), [
+    { sourceId: "ukri", sourceName: "UKRI", url: "https://www.ukri.org/a" },
+    { sourceId: "esrc", sourceName: "ESRC", url: "https://www.ukri.org/a" }
+  ]);
+});
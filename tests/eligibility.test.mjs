@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { extractEligibilityRules, normalizeEligibilityRules } from "../scripts/lib/eligibility.mjs";
+
+test("extractEligibilityRules reads host, contract, PhD window, residency and partner rules", () => {
+  const text = `Applicants must be based at a UK higher education institution or eligible research organisation.
+    The lead applicant must hold a permanent contract, and be no more than 8 years since the award of their PhD.
+    You must be ordinarily resident in the UK. Projects must include at least one industry partner.`;
+
+  assert.deepEqual(extractEligibilityRules(text), {
+    hostInstitutions: ["uk_hei", "uk_research_org"],
+    contractRequirement: "permanent",
+    yearsSincePhd: { min: null, max: 8 },
+    residency: "uk",
+    industryPartnerRequired: true
+  });
+});
+
+test("extractEligibilityRules leaves unstated rules empty", () => {
+  assert.deepEqual(extractEligibilityRules("Funding for research into coastal erosion."), {
+    hostInstitutions: [],
+    contractRequirement: null,
+    yearsSincePhd: null,
+    residency: null,
+    industryPartnerRequired: null
+  });
+  assert.deepEqual(
+    extractEligibilityRules("For researchers with between 2 and 7 years of postdoctoral experience since their PhD.").yearsSincePhd,
+    { min: 2, max: 7 }
+  );
+  assert.equal(
+    extractEligibilityRules("Your contract must extend beyond the end of the grant.").contractRequirement,
+    "covers_award"
+  );
+});
+
+test("normalizeEligibilityRules prefers stated AI answers and drops unknown values", () => {
+  const merged = {
+    hostInstitutions: ["uk_hei"],
+    host_institutions: [],
+    contractRequirement: null,
+    contract_requirement: "Permanent",
+    years_since_phd: { min: "", max: "6" },
+    residency: "anywhere",
+    industry_partner_required: "maybe"
+  };
+
+  assert.deepEqual(normalizeEligibilityRules(merged), {
+    hostInstitutions: ["uk_hei"],
+    contractRequirement: "permanent",
+    yearsSincePhd: { min: null, max: 6 },
+    residency: null,
+    industryPartnerRequired: null
+  });
+  assert.deepEqual(normalizeEligibilityRules(undefined).hostInstitutions, []);
+});
+
+test("normalizeEligibilityRules keeps heuristic rules when the AI leaves them unstated", () => {
+  const heuristic = {
+    hostInstitutions: ["uk_hei"],
+    contractRequirement: "permanent",
+    yearsSincePhd: { min: null, max: 5 },
+    industryPartnerRequired: true
+  };
+  const expected = { ...heuristic, residency: null };
+
+  assert.deepEqual(
+    normalizeEligibilityRules({
+      ...heuristic,
+      years_since_phd: { min: null, max: null },
+      industry_partner_required: false,
+      contract_requirement: "",
+      host_institutions: []
+    }),
+    expected
+  );
+  assert.deepEqual(
+    normalizeEligibilityRules({
+      ...heuristic,
+      years_since_phd: { min: "null", max: "" },
+      industry_partner_required: "null",
+      contract_requirement: "NULL"
+    }),
+    expected
+  );
+});
@@ -0,0 +1,191 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  extractAmountDetails,
+  extractDeadlines,
+  extractMetaTags,
+  extractOpeningDate,
+  extractRelNext,
+  extractStructuredData,
+  parseDateTimeFromText
+} from "../scripts/lib/extract.mjs";
+
+test("extractStructuredData reads MonetaryGrant JSON-LD inside @graph", () => {
+  const html = `
+    <script type="application/ld+json">
+      {
+        "@context": "https://schema.org",
+        "@graph": [
+          { "@type": "Organization", "name": "UKRI" },
+          {
+            "@type": "MonetaryGrant",
+            "name": "Metascience research grants &amp; fellowships",
+            "description": "<p>Funding for research on research.</p>",
+            "amount": { "@type": "MonetaryAmount", "currency": "GBP", "maxValue": 250000 },
+            "validThrough": "2026-04-23T16:00:00+01:00"
+          }
+        ]
+      }
+    </script>
+  `;
+
+  const { fields, sources } = extractStructuredData(html);
+  assert.deepEqual(fields, {
+    title: "Metascience research grants & fellowships",
+    description: "Funding for research on research.",
+    deadline: "2026-04-23",
+    deadlineTime: "16:00",
+    deadlineTimezone: "Europe/London",
+    amount: "£250,000"
+  });
+  assert.deepEqual(sources, { title: "json-ld", description: "json-ld", deadline: "json-ld", amount: "json-ld" });
+});
+
+test("extractStructuredData falls back to OpenGraph and microdata", () => {
+  const html = `
+    <meta property="og:site_name" content="Example Trust">
+    <meta property="og:title" content="Travel Grants | Example Trust">
+    <meta content="Small grants for conference travel." property="og:description">
+    <meta itemprop="endDate" content="2026-06-30">
+    <script type="application/ld+json">not json</script>
+  `;
+
+  const { fields, sources } = extractStructuredData(html);
+  assert.equal(fields.title, "Travel Grants");
+  assert.equal(fields.description, "Small grants for conference travel.");
+  assert.equal(fields.deadline, "2026-06-30");
+  assert.deepEqual(sources, { title: "opengraph", description: "opengraph", deadline: "microdata" });
+});
+
+test("extractStructuredData ignores a webinar Event that is not the page's subject", () => {
+  const jsonLd = (data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+  const grant = {
+    "@type": "Grant",
+    name: "Net Zero Innovation Grant",
+    description: "Funding for net zero innovation projects."
+  };
+  const webinar = { "@type": "Event", name: "Applicant webinar", endDate: "2026-03-12T13:00:00Z" };
+
+  const { fields } = extractStructuredData(`<title>Net Zero Innovation Grant | UKRI</title>${jsonLd([grant, webinar])}`);
+  assert.equal(fields.title, "Net Zero Innovation Grant");
+  assert.equal(fields.deadline, undefined);
+
+  const infoDay = { "@type": "Event", name: "Research Fellowship Info Day", endDate: "2026-05-20" };
+  const titled = extractStructuredData(`<h1>Research Fellowship Info Day</h1>${jsonLd(infoDay)}`);
+  assert.equal(titled.fields.deadline, "2026-05-20");
+  const main = extractStructuredData(jsonLd({ ...webinar, mainEntityOfPage: "https://funder.example.org/webinar" }));
+  assert.equal(main.fields.title, "Applicant webinar");
+});
+
+test("extractStructuredData ignores unrelated schema.org types", () => {
+  const html = '<script type="application/ld+json">{"@type":"Organization","name":"UKRI"}</script>';
+  assert.deepEqual(extractStructuredData(html), { fields: {}, sources: {} });
+});
+
+test("extractMetaTags keeps the first value per key", () => {
+  const tags = extractMetaTags('<meta name="description" content="First"><meta name="description" content="Second">');
+  assert.equal(tags.get("description"), "First");
+});
+
+test("extractRelNext resolves link or anchor rel=next against the page URL", () => {
+  const base = "https://funder.example.org/funding?page=2";
+  assert.equal(
+    extractRelNext('<link rel="prev" href="?page=1"><link href="?page=3&amp;sort=date" rel="next">', base),
+    "https://funder.example.org/funding?page=3&sort=date"
+  );
+  assert.equal(
+    extractRelNext('<a class="pager" rel="nofollow next" href="/funding/page/3/">Next</a>', base),
+    "https://funder.example.org/funding/page/3"
+  );
+  assert.equal(extractRelNext('<a href="/funding/page/3/">Next</a>', base), null);
+});
+
+test("extractDeadlines labels staged deadlines and skips opening dates", () => {
+  const text = `Opening date: 1 March 2026. Outline proposals due: 14 April 2026 16:00 UK time.
+    Full proposal deadline: 9 June 2026 at 4pm. Published 2 January 2026.`;
+
+  assert.deepEqual(extractDeadlines(text), [
+    { label: "Outline proposal deadline", date: "2026-04-14", time: "16:00", timezone: "Europe/London", stage: "outline" },
+    { label: "Full proposal deadline", date: "2026-06-09", time: "16:00", timezone: null, stage: "full" }
+  ]);
+});
+
+test("extractDeadlines reads numbered rounds and rolling calls", () => {
+  const deadlines = extractDeadlines(
+    "Round 1 cut-off: 2026-05-01. Round 2 cut-off: 1st September 2026. Applications are considered on a rolling basis."
+  );
+
+  assert.deepEqual(
+    deadlines.map((entry) => [entry.label, entry.date, entry.stage]),
+    [
+      ["Round 1 cut-off", "2026-05-01", "round"],
+      ["Round 2 cut-off", "2026-09-01", "round"],
+      ["Rolling deadline", null, "rolling"]
+    ]
+  );
+  assert.deepEqual(extractDeadlines("Applications open 3 Feb 2026 and close 30 April 2026 at midday BST"), [
+    { label: "Closing date", date: "2026-04-30", time: "12:00", timezone: "Europe/London", stage: "final" }
+  ]);
+});
+
+test("extractDeadlines does not read amounts or bare dotted numbers as a time", () => {
+  assert.deepEqual(extractDeadlines("Closing date: 30 April 2026. Awards of £1.25 million are available."), [
+    { label: "Closing date", date: "2026-04-30", time: null, timezone: null, stage: "final" }
+  ]);
+  assert.equal(extractDeadlines("Closing date: 30 April 2026. Up to 2.50 years of funding.")[0].time, null);
+  assert.equal(extractDeadlines("Closing date: 30 April 2026 at 16.00.")[0].time, "16:00");
+  assert.equal(extractDeadlines("Closing date: 30 April 2026, 4.30pm.")[0].time, "16:30");
+  assert.equal(extractDeadlines("Closing date: 30 April 2026 12.00 UK time")[0].time, "12:00");
+});
+
+test("extractOpeningDate reads opening wording but not closing dates", () => {
+  assert.deepEqual(extractOpeningDate("Opening date: 2 March 2026 9:00am UK time. Closing date: 1 June 2026."), {
+    date: "2026-03-02",
+    time: "09:00",
+    timezone: "Europe/London"
+  });
+  assert.deepEqual(extractOpeningDate("Applications open 3 Feb 2026 and close 30 April 2026 at midday BST"), {
+    date: "2026-02-03",
+    time: null,
+    timezone: null
+  });
+  assert.equal(extractOpeningDate("Applications are now open. Closing date: 30 April 2026."), null);
+});
+
+test("extractStructuredData formats MonetaryAmount ranges", () => {
+  const html = `<script type="application/ld+json">
+    { "@type": "Grant", "name": "Pathfinder Open",
+      "amount": { "@type": "MonetaryAmount", "currency": "EUR", "minValue": 100000, "maxValue": 2000000 } }
+  </script>`;
+  assert.equal(extractStructuredData(html).fields.amount, "€100,000 to €2,000,000");
+});
+
+test("extractAmountDetails prefers the resolved amount and reads fEC from the page", () => {
+  const text = "Total fund £5 million. Individual awards up to £500,000, paid at 80% of the full economic cost.";
+  assert.deepEqual(extractAmountDetails("£500,000", text), {
+    min: null,
+    max: 500000,
+    currency: "GBP",
+    period: null,
+    fecPercent: 80,
+    raw: "£500,000"
+  });
+  assert.equal(extractAmountDetails(null, text).max, 5000000);
+  assert.equal(extractAmountDetails(null, "No budget published yet."), null);
+});
+
+test("parseDateTimeFromText keeps the time and timezone written next to the date", () => {
+  assert.deepEqual(parseDateTimeFromText("23 April 2026 4:00pm UK time"), {
+    date: "2026-04-23",
+    time: "16:00",
+    timezone: "Europe/London"
+  });
+  assert.deepEqual(parseDateTimeFromText("17:00 Brussels time, 2 September 2026"), {
+    date: "2026-09-02",
+    time: "17:00",
+    timezone: "Europe/Brussels"
+  });
+  assert.deepEqual(parseDateTimeFromText("30 April 2026"), { date: "2026-04-30", time: null, timezone: null });
+  assert.equal(parseDateTimeFromText("no date here"), null);
+});
@@ -0,0 +1,205 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+
+import {
+  applySnapshotDelta,
+  buildHistoryIndex,
+  buildItemTimelineIndex,
+  buildItemTimelines,
+  compactHistory,
+  compactSnapshot,
+  diffSnapshot,
+  planRetention,
+  readHistorySnapshot,
+  summarizeSnapshot
+} from "../scripts/lib/history.mjs";
+
+function snapshot(date, items) {
+  return {
+    generatedAt: `${date}T08:00:00.000Z`,
+    generatedDate: date,
+    sources: [{ id: "a" }, { id: "b" }],
+    items
+  };
+}
+
+test("summarizeSnapshot counts items, fresh items and URL checks per source", () => {
+  const summary = summarizeSnapshot(
+    snapshot("2026-04-20", [
+      { sourceId: "a", urlCheck: { status: "reachable" }, rawSignals: { sourceType: "detail" } },
+      { sourceId: "a", urlCheck: { status: "http_error" }, rawSignals: { sourceType: "detail" } },
+      { sourceId: "b", urlCheck: { status: "skipped" }, rawSignals: { sourceType: "carried_forward" } }
+    ])
+  );
+
+  assert.equal(summary.date, "2026-04-20");
+  assert.equal(summary.itemCount, 3);
+  assert.deepEqual(summary.sources, {
+    a: { items: 2, fresh: 2, urlChecked: 2, urlReachable: 1 },
+    b: { items: 1, fresh: 0, urlChecked: 0, urlReachable: 0 }
+  });
+});
+
+test("buildHistoryIndex reuses earlier entries and re-reads the refreshed date", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "granthunter-history-"));
+  await writeFile(path.join(dir, "2026-04-19.json"), JSON.stringify(snapshot("2026-04-19", [{ sourceId: "a" }])));
+  await writeFile(path.join(dir, "2026-04-20.json"), JSON.stringify(snapshot("2026-04-20", [])));
+  await writeFile(path.join(dir, "index.json"), "{}");
+
+  const previousIndex = {
+    snapshots: [
+      { file: "2026-04-19.json", date: "2026-04-19", itemCount: 99, sources: {} },
+      { file: "2026-04-20.json", date: "2026-04-20", itemCount: 99, sources: {} }
+    ]
+  };
+  const index = await buildHistoryIndex(dir, { previousIndex, refreshDate: "2026-04-20" });
+  await rm(dir, { recursive: true, force: true });
+
+  assert.deepEqual(
+    index.snapshots.map((entry) => [entry.file, entry.itemCount]),
+    [
+      ["2026-04-19.json", 99],
+      ["2026-04-20.json", 0]
+    ]
+  );
+});
+
+test("buildItemTimelines records first sighting, field changes, drop-off and return", () => {
+  const v1 = { id: "x", title: "Fellowship", url: "https://a.org/x", status: "open", deadline: "2026-04-30" };
+  const timelines = buildItemTimelines([
+    { date: "2026-04-18", items: [v1] },
+    { date: "2026-04-19", items: [{ ...v1, deadline: "2026-05-14" }] },
+    { date: "2026-04-20", items: [] },
+    { date: "2026-04-21", items: [{ ...v1, deadline: "2026-05-14", status: "closed" }] },
+    { date: "2026-04-22", items: [] }
+  ]);
+
+  const timeline = timelines.x;
+  assert.equal(timeline.firstSeen, "2026-04-18");
+  assert.equal(timeline.lastSeen, "2026-04-21");
+  assert.equal(timeline.droppedOn, "2026-04-22");
+  assert.deepEqual(
+    timeline.events.map((event) => [event.date, event.type, event.note]),
+    [
+      ["2026-04-18", "first_seen", "First seen (open, deadline 2026-04-30)"],
+      ["2026-04-19", "change", "Deadline extended from 2026-04-30 to 2026-05-14"],
+      ["2026-04-20", "dropped", "No longer listed by the source"],
+      ["2026-04-21", "reappeared", "Listed again"],
+      ["2026-04-21", "change", "Status changed from open to closed"],
+      ["2026-04-22", "dropped", "No longer listed by the source"]
+    ]
+  );
+});
+
+test("buildItemTimelineIndex reads dated snapshots and ignores index files", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "granthunter-history-"));
+  await writeFile(path.join(dir, "2026-04-19.json"), JSON.stringify(snapshot("2026-04-19", [{ id: "x" }])));
+  await writeFile(path.join(dir, "2026-04-20.json"), JSON.stringify(snapshot("2026-04-20", [{ id: "y" }])));
+  await writeFile(path.join(dir, "index.json"), "{}");
+  await writeFile(path.join(dir, "items.json"), "{}");
+
+  const index = await buildItemTimelineIndex(dir);
+  await rm(dir, { recursive: true, force: true });
+
+  assert.equal(index.firstDate, "2026-04-19");
+  assert.equal(index.lastDate, "2026-04-20");
+  assert.deepEqual(Object.keys(index.items), ["x", "y"]);
+  assert.equal(index.items.x.droppedOn, "2026-04-20");
+  assert.equal(index.items.y.droppedOn, null);
+});
+
+test("planRetention keeps recent days, then the first snapshot of each week and month", () => {
+  const dates = ["2026-08-03", "2026-08-10", "2026-09-01", "2026-09-02", "2026-09-14", "2026-10-10"];
+  const plan = planRetention(dates, { today: "2026-10-19", dailyDays: 30, weeklyWeeks: 4 });
+  assert.deepEqual(Object.fromEntries(plan), {
+    "2026-08-03": "monthly",
+    "2026-08-10": null,
+    "2026-09-01": "monthly",
+    "2026-09-02": null,
+    "2026-09-14": "weekly",
+    "2026-10-10": "daily"
+  });
+
+  const limited = planRetention(dates, { today: "2026-10-19", dailyDays: 30, weeklyWeeks: 4, monthlyMonths: 2 });
+  assert.equal(limited.get("2026-08-03"), null);
+  assert.equal(limited.get("2026-09-01"), "monthly");
+});
+
+test("diffSnapshot stores only what changed and applySnapshotDelta restores the snapshot", () => {
+  const base = snapshot("2026-05-04", [
+    { id: "a", deadline: "2026-06-01", amount: "£10,000" },
+    { id: "b", deadline: null }
+  ]);
+  const target = {
+    ...snapshot("2026-05-11", [{ id: "c", deadline: null }, { id: "a", deadline: "2026-06-15" }]),
+    diagnostics: { errors: [] },
+    digest: { subject: "Weekly", markdown: "# Long body", stats: { open: 2 } }
+  };
+
+  const delta = diffSnapshot(base, target, "archive/2026-05-04.json");
+  assert.equal(delta.base, "archive/2026-05-04.json");
+  assert.deepEqual(delta.order, ["c", "a"]);
+  assert.deepEqual(delta.added, [{ id: "c", deadline: null }]);
+  assert.deepEqual(delta.removed, ["b"]);
+  assert.deepEqual(delta.changed, [{ id: "a", set: { deadline: "2026-06-15" }, unset: ["amount"] }]);
+
+  const restored = applySnapshotDelta(base, delta);
+  assert.deepEqual(restored, compactSnapshot(target));
+  assert.deepEqual(restored.digest, { subject: "Weekly", stats: { open: 2 } });
+  assert.equal(restored.diagnostics, undefined);
+});
+
+test("compactHistory archives aged snapshots as keyframes and deltas and the index lists them", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "granthunter-history-"));
+  const versions = {
+    "2026-05-04": [{ id: "a", deadline: "2026-06-01" }, { id: "b" }],
+    "2026-05-05": [{ id: "a", deadline: "2026-06-01" }],
+    "2026-05-11": [{ id: "a", deadline: "2026-06-15" }, { id: "c" }],
+    "2026-05-19": [{ id: "c" }],
+    "2026-05-20": [{ id: "c" }]
+  };
+  for (const [date, items] of Object.entries(versions)) {
+    const full = { ...snapshot(date, items), diagnostics: { errors: ["x"] }, digest: { subject: date, stats: {} } };
+    await writeFile(path.join(dir, `${date}.json`), JSON.stringify(full));
+  }
+  await writeFile(path.join(dir, "index.json"), "{}");
+
+  const retention = { dailyDays: 2, weeklyWeeks: 52, monthlyMonths: 0 };
+  const result = await compactHistory(dir, { ...retention, today: "2026-05-20" });
+  assert.deepEqual(result, {
+    archived: ["archive/2026-05-04.json", "archive/2026-05-11.delta.json"],
+    removed: ["2026-05-05.json"]
+  });
+  assert.deepEqual((await readdir(dir)).sort(), ["2026-05-19.json", "2026-05-20.json", "archive", "index.json"]);
+
+  const delta = JSON.parse(await readFile(path.join(dir, "archive/2026-05-11.delta.json"), "utf8"));
+  assert.equal(delta.base, "archive/2026-05-04.json");
+  assert.deepEqual(delta.added, [{ id: "c" }]);
+  assert.deepEqual(delta.removed, ["b"]);
+
+  const restored = await readHistorySnapshot(dir, "archive/2026-05-11.delta.json");
+  assert.deepEqual(restored.items, versions["2026-05-11"]);
+  assert.equal(restored.diagnostics, undefined);
+
+  const index = await buildHistoryIndex(dir, { retention });
+  const timelines = await buildItemTimelineIndex(dir);
+  const rerun = await compactHistory(dir, { ...retention, today: "2026-05-20" });
+  await rm(dir, { recursive: true, force: true });
+
+  assert.deepEqual(index.retention, retention);
+  assert.deepEqual(
+    index.snapshots.map((entry) => [entry.file, entry.format, entry.tier, entry.itemCount]),
+    [
+      ["archive/2026-05-04.json", "keyframe", "monthly", 2],
+      ["archive/2026-05-11.delta.json", "delta", "weekly", 2],
+      ["2026-05-19.json", "full", "daily", 1],
+      ["2026-05-20.json", "full", "daily", 1]
+    ]
+  );
+  assert.equal(timelines.firstDate, "2026-05-04");
+  assert.equal(timelines.items.b.droppedOn, "2026-05-11");
+  assert.deepEqual(rerun, { archived: [], removed: [] });
+});
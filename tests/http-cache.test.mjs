@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm } from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+
+process.env.HOST_MIN_INTERVAL_MS = "0";
+const { fetchPage, getHttpCacheStats, openHttpCache, saveHttpCache } = await import("../scripts/lib/http.mjs");
+
+function startServer(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+test("fetchPage revalidates cached pages with conditional requests", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "granthunter-cache-"));
+  const seenHeaders = [];
+  const server = await startServer((req, res) => {
+    if (req.url === "/robots.txt") {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    seenHeaders.push(req.headers["if-none-match"] || "");
+    if (req.headers["if-none-match"] === '"v1"') {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "content-type": "text/html", etag: '"v1"' });
+    res.end("<h1>Research Fellowship</h1>");
+  });
+  const url = `http://127.0.0.1:${server.address().port}/fellowship`;
+
+  try {
+    await openHttpCache(dir);
+    const first = await fetchPage(url);
+    assert.equal(first.unchanged, false);
+    assert.equal(first.body, "<h1>Research Fellowship</h1>");
+    await saveHttpCache();
+
+    await openHttpCache(dir);
+    const second = await fetchPage(url);
+    assert.equal(second.notModified, true);
+    assert.equal(second.unchanged, true);
+    assert.equal(second.body, first.body);
+    assert.equal(second.bodyHash, first.bodyHash);
+    assert.deepEqual(seenHeaders, ["", '"v1"']);
+    assert.equal(getHttpCacheStats().notModified, 1);
+
+    await saveHttpCache();
+    const index = JSON.parse(await readFile(path.join(dir, "index.json"), "utf8"));
+    assert.equal(index.entries[url].etag, '"v1"');
+    assert.deepEqual(await readdir(path.join(dir, "bodies")), [`${first.bodyHash}.body`]);
+  } finally {
+    server.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("fetchPage flags identical bodies without validators as unchanged", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "granthunter-cache-"));
+  const server = await startServer((req, res) => {
+    res.writeHead(200, { "content-type": "text/html" });
+    res.end("<h1>Studentship</h1>");
+  });
+  const url = `http://127.0.0.1:${server.address().port}/studentship`;
+
+  try {
+    await openHttpCache(dir);
+    assert.equal((await fetchPage(url)).unchanged, false);
+    const again = await fetchPage(url);
+    assert.equal(again.unchanged, true);
+    assert.equal(again.notModified, false);
+  } finally {
+    server.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
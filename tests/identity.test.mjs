@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeTitle, resolveIdentities, titleSimilarity } from "../scripts/lib/identity.mjs";
+
+const RECORDED_AT = "2026-04-20T08:00:00.000Z";
+
+function makeItem(overrides = {}) {
+  return {
+    id: "current-id",
+    sourceId: "ukri",
+    title: "Future Leaders Fellowships",
+    url: "https://www.ukri.org/opportunity/future-leaders-fellowships",
+    ...overrides
+  };
+}
+
+test("normalizeTitle drops funder boilerplate prefixes and punctuation", () => {
+  assert.equal(normalizeTitle("Funding opportunity: Future Leaders Fellowships"), "future leaders fellowships");
+  assert.equal(normalizeTitle("Call – Health & Care Research"), "health and care research");
+});
+
+test("titleSimilarity tolerates small edits but not a different round", () => {
+  assert.equal(titleSimilarity("Funding opportunity: Net Zero Innovation Grant", "Net Zero Innovation Grant"), 1);
+  assert.equal(titleSimilarity("Early Career Research Fellowship", "Early-Career Research Fellowships"), 1);
+  assert.ok(titleSimilarity("Net Zero Innovation Grant", "Net Zero Skills Grant") < 0.8);
+  assert.equal(titleSimilarity("Fellowships 2025 round", "Fellowships 2026 round"), 0);
+});
+
+test("resolveIdentities keeps exact ids untouched", () => {
+  const previous = makeItem({ id: "same", aliases: [{ id: "older", title: "Old", url: "https://x.org/old" }] });
+  const { items, matches } = resolveIdentities([makeItem({ id: "same" })], [previous], { recordedAt: RECORDED_AT });
+
+  assert.equal(items[0].id, "same");
+  assert.deepEqual(items[0].aliases, previous.aliases);
+  assert.deepEqual(matches, []);
+});
+
+test("resolveIdentities matches a retitled item by URL and records the old title", () => {
+  const previous = makeItem({ id: "original", title: "Funding opportunity: Future Leaders Fellowships" });
+  const { items, matches } = resolveIdentities([makeItem()], [previous], { recordedAt: RECORDED_AT });
+
+  assert.equal(items[0].id, "original");
+  assert.deepEqual(items[0].aliases, [
+    {
+      id: "current-id",
+      title: "Funding opportunity: Future Leaders Fellowships",
+      url: previous.url,
+      matchedBy: "url",
+      recordedAt: RECORDED_AT
+    }
+  ]);
+  assert.deepEqual(matches, [{ id: "original", replacedId: "current-id", matchedBy: "url" }]);
+});
+
+test("resolveIdentities follows a page that moved to its redirect target", () => {
+  const previous = makeItem({
+    id: "original",
+    url: "https://www.ukri.org/opportunity/flf-round-9",
+    urlCheck: { finalUrl: "https://www.ukri.org/opportunity/future-leaders-fellowships-round-9" }
+  });
+  const current = makeItem({
+    title: "Future Leaders Fellowships: round 9 (updated)",
+    url: "https://www.ukri.org/opportunity/future-leaders-fellowships-round-9/"
+  });
+  const { items, matches } = resolveIdentities([current], [previous], { recordedAt: RECORDED_AT });
+
+  assert.equal(items[0].id, "original");
+  assert.equal(matches[0].matchedBy, "redirect");
+});
+
+test("resolveIdentities falls back to fuzzy titles within the same source only", () => {
+  const previous = [
+    makeItem({ id: "same-source", title: "Funding opportunity: Future Leaders Fellowships", url: "https://a.org/1" }),
+    makeItem({ id: "other-source", sourceId: "wellcome", title: "Future Leaders Fellowships", url: "https://b.org/1" })
+  ];
+  const current = [
+    makeItem({ id: "new-a", url: "https://a.org/2" }),
+    makeItem({ id: "new-b", sourceId: "leverhulme", url: "https://c.org/1" })
+  ];
+  const { items, matches } = resolveIdentities(current, previous, { recordedAt: RECORDED_AT });
+
+  assert.deepEqual(
+    items.map((item) => item.id),
+    ["same-source", "new-b"]
+  );
+  assert.equal(items[0].aliases[0].url, "https://a.org/1");
+  assert.deepEqual(matches, [{ id: "same-source", replacedId: "new-a", matchedBy: "title" }]);
+  assert.deepEqual(items[1].aliases, []);
+});
+
+test("resolveIdentities lets each previous item be claimed once", () => {
+  const previous = makeItem({ id: "original" });
+  const current = [makeItem({ id: "original" }), makeItem({ id: "duplicate", title: "Future Leaders Fellowships" })];
+  const { items } = resolveIdentities(current, [previous], { recordedAt: RECORDED_AT });
+
+  assert.deepEqual(
+    items.map((item) => item.id),
+    ["original", "duplicate"]
+  );
+});
@@ -1,7 +1,24 @@
 import test from "node:test";
 import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
 
-import { daysLeft, matchesFilters, rankItems, scoreItem } from "../docs/assets/matching.js";
+import {
+  DEFAULT_WEIGHTS,
+  daysLeft,
+  deadlineCutoffMs,
+  eligibilityDisqualifiers,
+  itemBlockers,
+  itemAmount,
+  itemStatus,
+  matchesFilters,
+  nationalityOpenTo,
+  nextDeadline,
+  parseAmount,
+  parseBudget,
+  rankItems,
+  resolveWeights,
+  scoreItem
+} from "../docs/assets/matching.js";
 
 const NOW = Date.parse("2026-02-19T12:00:00Z");
 
@@ -156,3 +173,349 @@ test("rankItems supports open-only and min-match filters", () => {
   assert.equal(filtered.length, 1);
   assert.equal(filtered[0].id, "open");
 });
+
+test("nextDeadline picks the earliest stage still ahead, else the last one", () => {
+  const deadlines = [
+    { label: "Outline proposal deadline", date: "2026-02-10", stage: "outline" },
+    { label: "Rolling deadline", date: null, stage: "rolling" },
+    { label: "Full proposal deadline", date: "2026-05-05", stage: "full" }
+  ];
+
+  assert.equal(nextDeadline(deadlines, NOW).stage, "full");
+  assert.equal(nextDeadline(deadlines, Date.parse("2026-01-01T00:00:00Z")).stage, "outline");
+  assert.equal(nextDeadline(deadlines, Date.parse("2026-09-01T00:00:00Z")).stage, "full");
+  assert.equal(nextDeadline([], NOW), null);
+});
+
+test("rankItems uses the next deadline stage for days left and deadline sorting", () => {
+  const staged = makeItem({
+    id: "staged",
+    deadline: "2026-02-10",
+    deadlines: [
+      { label: "Outline proposal deadline", date: "2026-02-10", stage: "outline" },
+      { label: "Full proposal deadline", date: "2026-04-30", stage: "full" }
+    ]
+  });
+  const single = makeItem({ id: "single", deadline: "2026-03-20" });
+
+  const ranked = rankItems(
+    [staged, single],
+    { sortBy: "deadline_asc", minMatch: 0, openOnly: false, closingSoonOnly: false },
+    {},
+    NOW
+  );
+
+  assert.deepEqual(
+    ranked.map((item) => item.id),
+    ["single", "staged"]
+  );
+  assert.equal(ranked[1].nextDeadline.stage, "full");
+  assert.equal(ranked[1].daysLeftValue, daysLeft("2026-04-30", NOW));
+  assert.equal(scoreItem(staged, {}, NOW).reasons.includes("Deadline has passed"), false);
+});
+
+test("deadlineCutoffMs reads times as UK wall-clock time across BST", () => {
+  assert.equal(deadlineCutoffMs("2026-04-23", { time: "16:00" }), Date.parse("2026-04-23T15:00:00Z"));
+  assert.equal(deadlineCutoffMs("2026-02-20", { time: "16:00" }), Date.parse("2026-02-20T16:00:00Z"));
+  assert.equal(deadlineCutoffMs("2026-06-30"), Date.parse("2026-06-30T22:59:59Z"));
+  assert.equal(
+    deadlineCutoffMs("2026-09-02", { time: "17:00", timezone: "Europe/Brussels" }),
+    Date.parse("2026-09-02T15:00:00Z")
+  );
+});
+
+test("daysLeft turns negative as soon as the cut-off passes on the closing day", () => {
+  const cutoff = { time: "16:00", timezone: "Europe/London" };
+  assert.equal(daysLeft("2026-04-23", Date.parse("2026-04-23T14:30:00Z"), cutoff), 1);
+  assert.equal(daysLeft("2026-04-23", Date.parse("2026-04-23T15:30:00Z"), cutoff), -1);
+});
+
+test("rankItems closes items whose cut-off passed after the crawl", () => {
+  const item = makeItem({
+    id: "today",
+    status: "open",
+    deadline: "2026-04-23",
+    deadlines: [{ label: "Closing date", date: "2026-04-23", time: "16:00", timezone: "Europe/London", stage: "final" }]
+  });
+  const filters = { sortBy: "match_desc", minMatch: 0, openOnly: true, closingSoonOnly: false };
+
+  assert.equal(rankItems([item], filters, {}, Date.parse("2026-04-23T14:30:00Z")).length, 1);
+  assert.equal(rankItems([item], filters, {}, Date.parse("2026-04-23T15:30:00Z")).length, 0);
+  assert.equal(
+    rankItems([item], { ...filters, openOnly: false }, {}, Date.parse("2026-04-23T15:30:00Z"))[0].status,
+    "closed"
+  );
+});
+
+test("itemStatus opens upcoming calls once their opening instant passes", () => {
+  const item = makeItem({ status: "upcoming", opensAt: "2026-02-20T09:00:00.000Z", deadline: "2026-03-01" });
+
+  assert.equal(itemStatus(item, NOW), "upcoming");
+  assert.equal(itemStatus(item, Date.parse("2026-02-20T09:00:00Z")), "open");
+  assert.equal(itemStatus(item, Date.parse("2026-03-02T12:00:00Z")), "closed");
+  assert.equal(itemStatus(makeItem({ status: "upcoming", opensAt: null }), NOW), "upcoming");
+});
+
+test("rankItems filters on the live status", () => {
+  const upcoming = makeItem({ id: "soon", status: "upcoming", opensAt: "2026-02-20T09:00:00.000Z" });
+  const filters = { sortBy: "match_desc", minMatch: 0, status: "upcoming" };
+
+  assert.equal(rankItems([upcoming], filters, {}, NOW).length, 1);
+  assert.equal(rankItems([upcoming], filters, {}, Date.parse("2026-02-21T09:00:00Z")).length, 0);
+  assert.equal(rankItems([upcoming], { ...filters, status: "open" }, {}, Date.parse("2026-02-21T09:00:00Z")).length, 1);
+});
+
+test("parseAmount reads currency, bounds, ranges and period", () => {
+  assert.deepEqual(parseAmount("Awards of up to £250,000 per year, funded at 80% fEC."), {
+    min: null,
+    max: 250000,
+    currency: "GBP",
+    period: "year",
+    fecPercent: 80,
+    raw: "£250,000 per year"
+  });
+  assert.deepEqual(
+    ["£3 m", "€1m-€2.5m in total", "between £50,000 and £500,000", "USD 3-5 million", "at least $20k"].map((text) => {
+      const { min, max, currency, period } = parseAmount(text);
+      return [min, max, currency, period];
+    }),
+    [
+      [3000000, 3000000, "GBP", null],
+      [1000000, 2500000, "EUR", "total"],
+      [50000, 500000, "GBP", null],
+      [3000000, 5000000, "USD", null],
+      [20000, null, "USD", null]
+    ]
+  );
+  assert.equal(parseAmount("£5,000 to 20 projects").max, 5000);
+  assert.equal(parseAmount("No amount stated"), null);
+});
+
+test("itemAmount falls back to parsing the amount string", () => {
+  const details = { min: 1, max: 2, currency: "GBP", period: null, fecPercent: null, raw: "£1 to £2" };
+  assert.equal(itemAmount(makeItem({ amountDetails: details })), details);
+  assert.equal(itemAmount(makeItem({ amount: "£1.5 million" })).max, 1500000);
+  assert.equal(itemAmount(makeItem({ amount: null })), null);
+});
+
+test("parseBudget accepts pounds and k/m shorthand", () => {
+  assert.deepEqual(["50000", "50k", "£1.5m", 250000, "", "lots", 0].map(parseBudget), [
+    50000,
+    50000,
+    1500000,
+    250000,
+    null,
+    null,
+    null
+  ]);
+});
+
+test("budget filters keep items whose amount range overlaps the budget", () => {
+  const items = [
+    makeItem({ id: "small", title: "Small", amount: "£20,000" }),
+    makeItem({ id: "range", title: "Range", amount: "£100,000 to £1 million" }),
+    makeItem({ id: "capped", title: "Capped", amount: "up to €300,000" }),
+    makeItem({ id: "none", title: "None", amount: null })
+  ];
+  const filters = { sortBy: "title_asc", minMatch: 0, budgetMin: "50k", budgetMax: "500k" };
+
+  assert.deepEqual(
+    rankItems(items, filters, {}, NOW).map((item) => item.id),
+    ["capped", "range"]
+  );
+  assert.equal(rankItems(items, { sortBy: "title_asc", minMatch: 0 }, {}, NOW).length, 4);
+  assert.equal(matchesFilters(items[0], { budgetMax: "10k" }), false);
+  assert.equal(matchesFilters(items[3], { budgetMin: "" }), true);
+});
+
+test("amount sorting compares in GBP and puts missing amounts last", () => {
+  const items = [
+    makeItem({ id: "none", title: "A none", amount: null }),
+    makeItem({ id: "eur", title: "B eur", amount: "€1,000,000" }),
+    makeItem({ id: "gbp", title: "C gbp", amount: "£900,000" }),
+    makeItem({ id: "min", title: "D min", amount: "at least £10,000" })
+  ];
+
+  assert.deepEqual(
+    rankItems(items, { sortBy: "amount_desc", minMatch: 0 }, {}, NOW).map((item) => item.id),
+    ["gbp", "eur", "min", "none"]
+  );
+  assert.deepEqual(
+    rankItems(items, { sortBy: "amount_asc", minMatch: 0 }, {}, NOW).map((item) => item.id),
+    ["min", "eur", "gbp", "none"]
+  );
+});
+
+test("scoreItem gives partial credit when the call covers the user's parent area", () => {
+  const eligibility = (disciplines) => ({ levels: [], careerStages: [], nationalities: ["any"], disciplines });
+  const profile = { discipline: "neuroscience" };
+  const exact = scoreItem(makeItem({ eligibility: eligibility(["life sciences", "neuroscience"]) }), profile, NOW);
+  const parent = scoreItem(makeItem({ eligibility: eligibility(["life sciences"]) }), profile, NOW);
+  const other = scoreItem(makeItem({ eligibility: eligibility(["humanities"]) }), profile, NOW);
+
+  assert.ok(exact.score > parent.score && parent.score > other.score, `${exact.score} > ${parent.score} > ${other.score}`);
+  assert.ok(parent.reasons.includes("Broader area match: life sciences"));
+});
+
+test("eligibility rules the profile cannot meet are flagged as disqualifiers", () => {
+  const item = makeItem({
+    eligibility: {
+      ...makeItem().eligibility,
+      hostInstitutions: ["uk_hei"],
+      contractRequirement: "permanent",
+      yearsSincePhd: { min: null, max: 8 },
+      residency: "uk",
+      industryPartnerRequired: true
+    }
+  });
+  const blocked = { hostType: "uk_business", contract: "fixed_term", yearsSincePhd: "10", ukResident: "no", industryPartner: "no" };
+
+  assert.deepEqual(eligibilityDisqualifiers(item, blocked), [
+    "Host must be a UK university",
+    "Requires a permanent contract",
+    "More than 8 years since PhD",
+    "Requires UK residency or right to work",
+    "Requires an industry partner"
+  ]);
+  assert.deepEqual(eligibilityDisqualifiers(item, {}), []);
+  assert.deepEqual(eligibilityDisqualifiers(item, { hostType: "uk_hei", contract: "permanent", yearsSincePhd: "0" }), []);
+
+  const blockedScore = scoreItem(item, blocked, NOW);
+  assert.ok(blockedScore.score < scoreItem(item, {}, NOW).score);
+  assert.equal(blockedScore.reasons[0], "Not eligible: Host must be a UK university");
+});
+
+test("itemBlockers separates hard exclusions from soft preferences", () => {
+  const ukOnly = makeItem({
+    eligibility: { levels: ["phd"], careerStages: ["senior"], nationalities: ["uk"], disciplines: ["humanities"] }
+  });
+  const profile = { level: "postdoc", careerStage: "early", nationality: "international", discipline: "ai" };
+
+  assert.deepEqual(itemBlockers(ukOnly, profile, NOW), [
+    "Level excluded: open to phd",
+    "Nationality excluded: open to uk"
+  ]);
+  assert.deepEqual(itemBlockers(ukOnly, { careerStage: "early", discipline: "ai" }, NOW), []);
+  assert.deepEqual(itemBlockers(makeItem({ deadline: "2026-02-01" }), {}, NOW), ["Deadline has passed"]);
+  assert.deepEqual(
+    itemBlockers(makeItem({ eligibility: { ...ukOnly.eligibility, nationalities: ["uk", "international"] } }), profile, NOW),
+    ["Level excluded: open to phd"]
+  );
+
+  const scored = scoreItem(ukOnly, profile, NOW);
+  assert.equal(scored.ineligible, true);
+  assert.equal(scored.reasons[0], "Not eligible: Level excluded: open to phd");
+});
+
+test("an international call is neither blocked nor penalised for nationality", () => {
+  const item = makeItem({ eligibility: { ...makeItem().eligibility, nationalities: ["uk", "international"] } });
+  const profile = { nationality: "eu" };
+
+  assert.equal(nationalityOpenTo(item, profile), true);
+  assert.deepEqual(itemBlockers(item, profile, NOW), []);
+  const nationality = scoreItem(item, profile, NOW).breakdown.find((entry) => entry.factor === "nationality");
+  assert.equal(nationality.points, DEFAULT_WEIGHTS.nationalityMatch);
+
+  const ukOnly = makeItem({ eligibility: { ...makeItem().eligibility, nationalities: ["uk"] } });
+  assert.equal(nationalityOpenTo(ukOnly, profile), false);
+  assert.equal(nationalityOpenTo(ukOnly, {}), true);
+});
+
+test("rankItems hides ineligible items only when asked", () => {
+  const items = [
+    makeItem({ id: "fits" }),
+    makeItem({ id: "uk-only", eligibility: { ...makeItem().eligibility, nationalities: ["uk"] } })
+  ];
+  const profile = { nationality: "eu" };
+  const filters = { sortBy: "match_desc", minMatch: 0 };
+
+  const all = rankItems(items, filters, profile, NOW);
+  assert.equal(all.length, 2);
+  assert.equal(all.find((item) => item.id === "uk-only").ineligible, true);
+  assert.deepEqual(
+    rankItems(items, { ...filters, hideIneligible: true }, profile, NOW).map((item) => item.id),
+    ["fits"]
+  );
+});
+
+test("resolveWeights layers preset and user overrides over the defaults", () => {
+  const config = {
+    defaultPreset: "balanced",
+    presets: {
+      balanced: { weights: {} },
+      office: { weights: { statusOpen: 14, statusClosed: -36, unknownFactor: 99 } }
+    }
+  };
+
+  assert.deepEqual(resolveWeights(null), DEFAULT_WEIGHTS);
+  assert.deepEqual(resolveWeights(config, "missing"), DEFAULT_WEIGHTS);
+
+  const office = resolveWeights(config, "office", { statusOpen: "20", baseline: "", levelMatch: "abc" });
+  assert.equal(office.statusOpen, 20);
+  assert.equal(office.statusClosed, -36);
+  assert.equal(office.baseline, DEFAULT_WEIGHTS.baseline);
+  assert.equal(office.levelMatch, DEFAULT_WEIGHTS.levelMatch);
+  assert.equal("unknownFactor" in office, false);
+});
+
+test("scoreItem and rankItems follow the supplied weights", () => {
+  const item = makeItem();
+  const profile = { level: "postdoc" };
+  const base = scoreItem(item, profile, NOW).score;
+  const flat = scoreItem(item, profile, NOW, { ...DEFAULT_WEIGHTS, levelMatch: 0, statusOpen: 0 }).score;
+  assert.equal(base - flat, DEFAULT_WEIGHTS.levelMatch + DEFAULT_WEIGHTS.statusOpen);
+
+  const items = [
+    makeItem({ id: "fits-level" }),
+    makeItem({ id: "other-level", eligibility: { ...makeItem().eligibility, levels: ["masters"] } })
+  ];
+  const filters = { sortBy: "match_desc", minMatch: 0 };
+  const ignoreLevel = { ...DEFAULT_WEIGHTS, levelMatch: 0, levelMismatch: 0 };
+  const ranked = rankItems(items, filters, profile, NOW, ignoreLevel);
+  assert.equal(ranked[0].matchScore, ranked[1].matchScore);
+});
+
+test("shipped scoring presets only use known weight keys", async () => {
+  const config = JSON.parse(await readFile(new URL("../docs/data/scoring-weights.json", import.meta.url), "utf8"));
+  assert.ok(config.presets[config.defaultPreset], "default preset must exist");
+  for (const [id, preset] of Object.entries(config.presets)) {
+    for (const [key, value] of Object.entries(preset.weights || {})) {
+      assert.ok(key in DEFAULT_WEIGHTS, `${id}: unknown weight ${key}`);
+      assert.equal(typeof value, "number", `${id}.${key} must be a number`);
+    }
+  }
+});
+
+test("scoreItem itemises every factor and the points add up to the score", () => {
+  const item = makeItem({
+    eligibility: { ...makeItem().eligibility, levels: ["masters"], industryPartnerRequired: true }
+  });
+  const profile = { level: "postdoc", discipline: "neuroscience", industryPartner: "no" };
+  const result = scoreItem(item, profile, NOW);
+
+  assert.deepEqual(
+    result.breakdown.map((entry) => entry.factor),
+    ["baseline", "level", "careerStage", "nationality", "discipline", "eligibilityRules", "status", "deadline"]
+  );
+  const byFactor = Object.fromEntries(result.breakdown.map((entry) => [entry.factor, entry]));
+  assert.equal(byFactor.level.points, -24);
+  assert.equal(byFactor.careerStage.points, 0);
+  assert.match(byFactor.careerStage.rationale, /No career stage/);
+  assert.equal(byFactor.eligibilityRules.points, -30);
+  assert.match(byFactor.eligibilityRules.rationale, /industry partner/i);
+  assert.equal(byFactor.status.points, 6);
+
+  assert.equal(result.rawScore, result.breakdown.reduce((sum, entry) => sum + entry.points, 0));
+  assert.equal(result.score, Math.max(0, result.rawScore));
+});
+
+test("scoreItem reports the unclamped sum when the score is capped", () => {
+  const profile = { level: "postdoc", careerStage: "early", nationality: "international", discipline: "ai" };
+  const result = scoreItem(makeItem(), profile, NOW);
+  assert.equal(result.score, 100);
+  assert.ok(result.rawScore > 100, `expected raw score above 100, got ${result.rawScore}`);
+
+  const [ranked] = rankItems([makeItem()], { sortBy: "match_desc", minMatch: 0 }, { level: "postdoc" }, NOW);
+  assert.equal(ranked.matchBreakdown.length, 8);
+  assert.equal(ranked.matchRawScore, ranked.matchScore);
+});
@@ -0,0 +1,392 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { mkdtemp, mkdir, readFile, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+
+import { writeFixture } from "../scripts/lib/http.mjs";
+
+const execFileAsync = promisify(execFile);
+const SCRIPT = fileURLToPath(new URL("../scripts/update-funding.mjs", import.meta.url));
+const RECORDED_AT = "2026-04-20T08:00:00.000Z";
+const SEED_URL = "https://funder.example.org/funding";
+const DETAIL_URL = "https://funder.example.org/funding/early-career-fellowship";
+
+const SOURCES = [
+  {
+    id: "example",
+    name: "Example Funder",
+    category: "research_grants",
+    homepage: SEED_URL,
+    seedUrls: [SEED_URL],
+    includeHosts: ["funder.example.org"]
+  }
+];
+
+const SITEMAP_SOURCES = [
+  {
+    id: "example-sitemap",
+    name: "Example Funder",
+    category: "research_grants",
+    homepage: SEED_URL,
+    seedUrls: [],
+    includeHosts: ["funder.example.org"],
+    sitemap: { discover: true, include: ["^/grants/"], maxAgeDays: 60 }
+  }
+];
+const SITEMAP_DETAIL_URL = "https://funder.example.org/grants/net-zero-innovation-grant";
+
+async function writeFixtures(dir) {
+  await writeFile(path.join(dir, "manifest.json"), `${JSON.stringify({ recordedAt: RECORDED_AT })}\n`, "utf8");
+  await writeFixture(dir, {
+    method: "GET",
+    url: SEED_URL,
+    status: 200,
+    headers: { "content-type": "text/html" },
+    body: `
+      <a href="/funding/early-career-fellowship">Early Career Research Fellowship</a>
+      <a href="/privacy">Privacy</a>
+    `
+  });
+  await writeFixture(dir, {
+    method: "GET",
+    url: DETAIL_URL,
+    status: 200,
+    headers: { "content-type": "text/html" },
+    body: `
+      <h1>Early Career Research Fellowship</h1>
+      <meta name="description" content="Fellowships for postdoctoral researchers starting an independent career.">
+      <p>Applications are now open. Closing date: 30 April 2026. Awards of up to £250,000.</p>
+    `
+  });
+  await writeFixture(dir, {
+    method: "HEAD",
+    url: DETAIL_URL,
+    status: 200,
+    headers: { "content-type": "text/html" },
+    body: ""
+  });
+}
+
+async function writeSitemapFixtures(dir) {
+  await writeFile(path.join(dir, "manifest.json"), `${JSON.stringify({ recordedAt: RECORDED_AT })}\n`, "utf8");
+  const xml = (body) => ({ method: "GET", status: 200, headers: { "content-type": "application/xml" }, body });
+  await writeFixture(dir, {
+    method: "GET",
+    url: "https://funder.example.org/robots.txt",
+    status: 200,
+    headers: { "content-type": "text/plain" },
+    body: "User-agent: *\nDisallow: /admin/\nSitemap: https://funder.example.org/sitemap_index.xml\n"
+  });
+  await writeFixture(dir, {
+    ...xml(`<sitemapindex>
+      <sitemap><loc>https://funder.example.org/grants-sitemap.xml</loc><lastmod>2026-04-12</lastmod></sitemap>
+      <sitemap><loc>https://funder.example.org/old-sitemap.xml</loc><lastmod>2019-06-01</lastmod></sitemap>
+    </sitemapindex>`),
+    url: "https://funder.example.org/sitemap_index.xml"
+  });
+  await writeFixture(dir, {
+    ...xml(`<urlset>
+      <url><loc>${SITEMAP_DETAIL_URL}</loc><lastmod>2026-04-12</lastmod></url>
+      <url><loc>https://funder.example.org/grants/archived-grant</loc><lastmod>2025-01-10</lastmod></url>
+      <url><loc>https://funder.example.org/about/team</loc><lastmod>2026-04-12</lastmod></url>
+    </urlset>`),
+    url: "https://funder.example.org/grants-sitemap.xml"
+  });
+  await writeFixture(dir, {
+    method: "GET",
+    url: SITEMAP_DETAIL_URL,
+    status: 200,
+    headers: { "content-type": "text/html" },
+    body: `
+      <h1>Net Zero Innovation Grant</h1>
+      <p>Funding for net zero innovation projects. Applications are open. Deadline: 15 May 2026.</p>
+    `
+  });
+  await writeFixture(dir, { method: "HEAD", url: SITEMAP_DETAIL_URL, status: 200, headers: {}, body: "" });
+}
+
+async function writeUpcomingFixtures(dir) {
+  await writeFixtures(dir);
+  await writeFixture(dir, {
+    method: "GET",
+    url: DETAIL_URL,
+    status: 200,
+    headers: { "content-type": "text/html" },
+    body: `
+      <h1>Early Career Research Fellowship</h1>
+      <p>Fellowships for postdoctoral researchers. This competition opens on 28 April 2026 9:00am UK time.
+      Closing date: 30 June 2026.</p>
+    `
+  });
+}
+
+function detailFixtures(text) {
+  return async (dir) => {
+    await writeFixtures(dir);
+    await writeFixture(dir, {
+      method: "GET",
+      url: DETAIL_URL,
+      status: 200,
+      headers: { "content-type": "text/html" },
+      body: `<h1>Early Career Research Fellowship</h1><p>${text} Closing date: 30 April 2026.</p>`
+    });
+  };
+}
+
+const PAGED_SOURCES = [{ ...SOURCES[0], id: "example-paged", pagination: { param: "page", maxPages: 3 } }];
+
+async function writePagedFixtures(dir) {
+  await writeFile(path.join(dir, "manifest.json"), `${JSON.stringify({ recordedAt: RECORDED_AT })}\n`, "utf8");
+  const pages = [
+    [SEED_URL, `<link rel="next" href="/funding?page=2"><a href="/funding/early-career-fellowship">Early Career Research Fellowship</a>`],
+    [`${SEED_URL}?page=2`, `<a href="/funding/innovation-grant">Innovation Grant Programme</a>`]
+  ];
+  for (const [url, body] of pages) {
+    await writeFixture(dir, { method: "GET", url, status: 200, headers: { "content-type": "text/html" }, body });
+  }
+  await writeFixture(dir, { method: "GET", url: `${SEED_URL}?page=3`, status: 404, headers: {}, body: "" });
+
+  const details = [
+    [DETAIL_URL, "Early Career Research Fellowship", "Closing date: 30 April 2026."],
+    ["https://funder.example.org/funding/innovation-grant", "Innovation Grant Programme", "Deadline: 12 June 2026."]
+  ];
+  for (const [url, title, text] of details) {
+    const body = `<h1>${title}</h1><p>Grant funding for researchers. Applications are open. ${text}</p>`;
+    await writeFixture(dir, { method: "GET", url, status: 200, headers: { "content-type": "text/html" }, body });
+    await writeFixture(dir, { method: "HEAD", url, status: 200, headers: {}, body: "" });
+  }
+}
+
+async function runReplay({
+  sources = SOURCES,
+  fixtures = writeFixtures,
+  outputFile = "funding.latest.json",
+  previousData = null
+} = {}) {
+  const cwd = await mkdtemp(path.join(os.tmpdir(), "granthunter-replay-"));
+  const fixtureDir = path.join(cwd, "fixtures");
+  await mkdir(path.join(cwd, "config"), { recursive: true });
+  await writeFile(path.join(cwd, "config", "sources.json"), JSON.stringify(sources), "utf8");
+  if (previousData) {
+    await mkdir(path.join(cwd, "docs", "data"), { recursive: true });
+    await writeFile(path.join(cwd, "docs", "data", "funding.latest.json"), JSON.stringify(previousData), "utf8");
+  }
+  await mkdir(fixtureDir, { recursive: true });
+  await fixtures(fixtureDir);
+
+  const env = { ...process.env, OPENROUTER_API_KEY: "", STRICT_URL_VALIDATION: "false" };
+  await execFileAsync(process.execPath, [SCRIPT, "--replay", "fixtures"], { cwd, env });
+
+  const output = await readFile(path.join(cwd, "docs", "data", outputFile), "utf8");
+  await rm(cwd, { recursive: true, force: true });
+  return output;
+}
+
+test("replay mode runs the full pipeline from recorded fixtures", async () => {
+  const dataset = JSON.parse(await runReplay());
+
+  assert.equal(dataset.generatedAt, RECORDED_AT);
+  assert.equal(dataset.items.length, 1);
+
+  const [item] = dataset.items;
+  assert.equal(item.title, "Early Career Research Fellowship");
+  assert.equal(item.url, DETAIL_URL);
+  assert.equal(item.deadline, "2026-04-30");
+  assert.equal(item.deadlineAt, "2026-04-30T22:59:59.000Z");
+  assert.equal(item.amount, "£250,000");
+  assert.deepEqual(item.amountDetails, {
+    min: null,
+    max: 250000,
+    currency: "GBP",
+    period: null,
+    fecPercent: null,
+    raw: "£250,000"
+  });
+  assert.equal(item.status, "open");
+  assert.deepEqual(item.eligibility.hostInstitutions, []);
+  assert.equal(item.eligibility.yearsSincePhd, null);
+  assert.equal(item.urlCheck.status, "reachable");
+  assert.equal(item.summary.model, "heuristic");
+  assert.deepEqual(item.rawSignals.fieldSources, {
+    title: "heuristic",
+    description: "heuristic",
+    deadline: "heuristic",
+    amount: "heuristic"
+  });
+  assert.match(dataset.digest.markdown, /Early Career Research Fellowship\]\(https:\/\/funder\.example\.org\/funding\/early-career-fellowship\) \| Example Funder \| D-11/);
+});
+
+test("replay output is deterministic across runs", async () => {
+  const first = await runReplay();
+  const second = await runReplay();
+  assert.equal(first, second);
+});
+
+test("a retitled call keeps the id it had in the previous run", async () => {
+  const previous = {
+    id: "previous-id",
+    title: "Funding opportunity: Early Career Research Fellowship",
+    url: DETAIL_URL,
+    sourceId: "example",
+    fingerprint: "old",
+    summary: { en: "Earlier summary", fit: [], watchOut: [], model: "heuristic" }
+  };
+  const dataset = JSON.parse(await runReplay({ previousData: { items: [previous] } }));
+
+  const [item] = dataset.items;
+  assert.equal(item.id, "previous-id");
+  assert.equal(item.isNew, false);
+  assert.equal(item.isUpdated, true);
+  assert.equal(item.aliases.length, 1);
+  assert.equal(item.aliases[0].title, "Funding opportunity: Early Career Research Fellowship");
+  assert.equal(item.aliases[0].matchedBy, "url");
+  assert.equal(dataset.digest.stats.newItems, 0);
+  assert.deepEqual(
+    dataset.diagnostics.identityMatches.map((match) => [match.id, match.matchedBy]),
+    [["previous-id", "url"]]
+  );
+});
+
+test("field changes since the previous run reach the item, the digest and the changelog", async () => {
+  const previous = {
+    id: "previous-id",
+    title: "Early Career Research Fellowship",
+    url: DETAIL_URL,
+    sourceId: "example",
+    status: "open",
+    deadline: "2026-04-16",
+    amount: "£200,000",
+    amountDetails: { min: null, max: 200000, currency: "GBP", period: null, fecPercent: null, raw: "£200,000" }
+  };
+  const dataset = JSON.parse(await runReplay({ previousData: { items: [previous] } }));
+
+  const [item] = dataset.items;
+  assert.deepEqual(
+    item.recentChanges.map((entry) => entry.note),
+    ["Deadline extended from 2026-04-16 to 2026-04-30", "Amount increased from £200,000 to £250,000"]
+  );
+  assert.equal(item.recentChanges[0].detectedAt, RECORDED_AT);
+  assert.equal(dataset.digest.stats.changedItems, 1);
+  assert.match(dataset.digest.markdown, /## What Changed\n.*Deadline extended from 2026-04-16 to 2026-04-30; Amount increased/);
+
+  const changelog = JSON.parse(
+    await runReplay({ previousData: { items: [previous] }, outputFile: "changelog.json" })
+  );
+  assert.deepEqual(Object.keys(changelog.items), ["previous-id"]);
+  assert.deepEqual(changelog.items["previous-id"][0], {
+    field: "deadline",
+    from: "2026-04-16",
+    to: "2026-04-30",
+    detectedAt: RECORDED_AT,
+    note: "Deadline extended from 2026-04-16 to 2026-04-30"
+  });
+});
+
+test("each run rebuilds the per-item timeline index from the history snapshots", async () => {
+  const timelines = JSON.parse(await runReplay({ outputFile: "history/items.json" }));
+
+  assert.equal(timelines.generatedAt, RECORDED_AT);
+  assert.equal(timelines.lastDate, "2026-04-20");
+  const [timeline] = Object.values(timelines.items);
+  assert.equal(timeline.title, "Early Career Research Fellowship");
+  assert.equal(timeline.firstSeen, "2026-04-20");
+  assert.equal(timeline.droppedOn, null);
+  assert.deepEqual(timeline.events, [
+    { date: "2026-04-20", type: "first_seen", note: "First seen (open, deadline 2026-04-30)" }
+  ]);
+});
+
+test("a call listed by two sources is published once with both listings", async () => {
+  const councilSource = { ...SOURCES[0], id: "example-council", name: "Example Council" };
+  const dataset = JSON.parse(await runReplay({ sources: [...SOURCES, councilSource] }));
+
+  assert.equal(dataset.items.length, 1);
+  assert.equal(dataset.items[0].sourceId, "example");
+  assert.deepEqual(
+    dataset.items[0].listedBy.map((entry) => entry.sourceId),
+    ["example", "example-council"]
+  );
+});
+
+test("calls with an opening date still ahead are upcoming and listed as opening soon", async () => {
+  const dataset = JSON.parse(await runReplay({ fixtures: writeUpcomingFixtures }));
+
+  const [item] = dataset.items;
+  assert.equal(item.status, "upcoming");
+  assert.equal(item.opensAt, "2026-04-28T08:00:00.000Z");
+  assert.equal(item.deadline, "2026-06-30");
+  assert.equal(dataset.stats.upcoming, 1);
+  assert.equal(dataset.digest.stats.openingSoon, 1);
+  assert.match(dataset.digest.markdown, /## Opening Soon[\s\S]*Early Career Research Fellowship.*\| Opens 2026-04-28 \| Deadline: 2026-06-30/);
+});
+
+test("only EU as a word or the European Union tags a call as EU-only", async () => {
+  const incidental = detailFixtures("Fellowships in neuroscience with museum partners, hosted in Leuven.");
+  const restricted = detailFixtures("Open to applicants from the European Union.");
+
+  const [loose] = JSON.parse(await runReplay({ fixtures: incidental })).items;
+  assert.deepEqual(loose.eligibility.nationalities, ["any"]);
+  const [strict] = JSON.parse(await runReplay({ fixtures: restricted })).items;
+  assert.deepEqual(strict.eligibility.nationalities, ["eu"]);
+});
+
+test("a call is tagged UK-only by restrictive wording, not by mentioning the UK", async () => {
+  const located = detailFixtures("Fellowships hosted at universities across the United Kingdom.");
+  const restricted = detailFixtures("Applicants must be UK nationals or hold settled status.");
+
+  const [hosted] = JSON.parse(await runReplay({ fixtures: located })).items;
+  assert.deepEqual(hosted.eligibility.nationalities, ["any"]);
+  const [ukOnly] = JSON.parse(await runReplay({ fixtures: restricted })).items;
+  assert.deepEqual(ukOnly.eligibility.nationalities, ["uk"]);
+});
+
+test("sitemap entries discovered through robots.txt become detail candidates", async () => {
+  const dataset = JSON.parse(await runReplay({ sources: SITEMAP_SOURCES, fixtures: writeSitemapFixtures }));
+
+  assert.deepEqual(
+    dataset.items.map((item) => item.url),
+    [SITEMAP_DETAIL_URL]
+  );
+  assert.equal(dataset.items[0].title, "Net Zero Innovation Grant");
+  assert.equal(dataset.items[0].deadline, "2026-05-15");
+  assert.equal(dataset.items[0].rawSignals.sourceType, "sitemap");
+  assert.deepEqual(dataset.diagnostics.errors, []);
+});
+
+test("paginated listings are walked until a page 404s", async () => {
+  const dataset = JSON.parse(await runReplay({ sources: PAGED_SOURCES, fixtures: writePagedFixtures }));
+
+  assert.deepEqual(
+    dataset.items.map((item) => item.title).sort(),
+    ["Early Career Research Fellowship", "Innovation Grant Programme"]
+  );
+  assert.deepEqual(dataset.diagnostics.listingPages, { "example-paged": 2 });
+  assert.deepEqual(dataset.diagnostics.errors, []);
+});
+
+test("each run writes a per-source health record", async () => {
+  const report = JSON.parse(
+    await runReplay({ sources: PAGED_SOURCES, fixtures: writePagedFixtures, outputFile: "source-health.json" })
+  );
+
+  assert.equal(report.generatedAt, RECORDED_AT);
+  assert.deepEqual(report.summary, { ok: 1, degraded: 0, empty: 0, failing: 0 });
+
+  const [health] = report.sources;
+  assert.equal(health.sourceId, "example-paged");
+  assert.equal(health.seedsFetched, 1);
+  assert.equal(health.listingPages, 2);
+  assert.equal(health.candidates, 2);
+  assert.equal(health.detailFetched, 2);
+  assert.equal(health.itemsKept, 2);
+  assert.equal(health.published, 2);
+  assert.equal(health.httpErrors, 0);
+  assert.equal(typeof health.durationMs, "number");
+  assert.deepEqual(health.history, [
+    { date: "2026-04-20", status: "ok", candidates: 2, itemsKept: 2, published: 2, httpErrors: 0 }
+  ]);
+});
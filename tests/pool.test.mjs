@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createPool, mapWithConcurrency, settle } from "../scripts/lib/pool.mjs";
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test("mapWithConcurrency caps in-flight tasks and keeps input order", async () => {
+  let active = 0;
+  let peak = 0;
+
+  const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, index) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await delay(ms);
+    active -= 1;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test("createPool keeps running after a task fails", async () => {
+  const pool = createPool(1);
+  const failed = await settle(pool.run(async () => Promise.reject(new Error("boom"))));
+  const passed = await settle(pool.run(async () => "ok"));
+
+  assert.equal(failed.error.message, "boom");
+  assert.equal(passed.value, "ok");
+});
+
+test("createPool runs other keys while a key is delayed or at its cap", async () => {
+  const readyAt = Date.now() + 50;
+  const pool = createPool(2, { perKey: 1, delayFor: (key) => (key === "slow" ? readyAt - Date.now() : 0) });
+  const order = [];
+  const task = (name, ms = 0) => async () => {
+    await delay(ms);
+    order.push(name);
+  };
+
+  await Promise.all([
+    pool.run(task("slow"), { key: "slow" }),
+    pool.run(task("busy-1", 20), { key: "busy" }),
+    pool.run(task("busy-2"), { key: "busy" }),
+    pool.run(task("fast"), { key: "fast" })
+  ]);
+
+  assert.deepEqual(order, ["fast", "busy-1", "busy-2", "slow"]);
+});
+
+test("createPool calls onStart before picking the next task", async () => {
+  let readyAt = 0;
+  const pool = createPool(2, {
+    delayFor: () => readyAt - Date.now(),
+    onStart: () => {
+      readyAt = Math.max(Date.now(), readyAt) + 40;
+    }
+  });
+  const starts = [];
+  const task = () => async () => starts.push(Date.now());
+
+  const begun = Date.now();
+  await Promise.all([pool.run(task(), { key: "host" }), pool.run(task(), { key: "host" })]);
+
+  assert.ok(starts[0] - begun < 30);
+  assert.ok(starts[1] - starts[0] >= 30, "second task for the same key started without waiting");
+});
@@ -0,0 +1,128 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+import { isPathAllowed, parseRobotsTxt } from "../scripts/lib/robots.mjs";
+
+process.env.HOST_MIN_INTERVAL_MS = "0";
+const { createCrawlPool, fetchPage, getPolitenessStats } = await import("../scripts/lib/http.mjs");
+
+const ROBOTS = `
+# Example robots.txt
+User-agent: *
+Disallow: /search
+Disallow: /*?filter=
+Allow: /search/opportunities$
+Crawl-delay: 5
+
+User-agent: UKFundingHubBot
+Disallow: /private/
+Crawl-delay: 2
+
+Sitemap: https://example.org/sitemap.xml
+`;
+
+test("parseRobotsTxt prefers the group naming our user agent", () => {
+  const robots = parseRobotsTxt(ROBOTS, "UKFundingHubBot");
+  assert.equal(robots.crawlDelay, 2);
+  assert.deepEqual(robots.rules, [{ allow: false, pattern: "/private/" }]);
+  assert.deepEqual(robots.sitemaps, ["https://example.org/sitemap.xml"]);
+});
+
+test("parseRobotsTxt falls back to the wildcard group", () => {
+  const robots = parseRobotsTxt(ROBOTS, "OtherBot");
+  assert.equal(robots.crawlDelay, 5);
+  assert.equal(robots.rules.length, 3);
+});
+
+test("isPathAllowed applies longest match, wildcards and end anchors", () => {
+  const robots = parseRobotsTxt(ROBOTS, "OtherBot");
+  assert.equal(isPathAllowed(robots, "/funding/fellowship"), true);
+  assert.equal(isPathAllowed(robots, "/search?q=grant"), false);
+  assert.equal(isPathAllowed(robots, "/search/opportunities"), true);
+  assert.equal(isPathAllowed(robots, "/search/opportunities/page/2"), false);
+  assert.equal(isPathAllowed(robots, "/funding?filter=open"), false);
+});
+
+test("empty Disallow allows everything", () => {
+  const robots = parseRobotsTxt("User-agent: *\nDisallow:\n", "UKFundingHubBot");
+  assert.equal(isPathAllowed(robots, "/anything"), true);
+});
+
+test("fetchPage refuses URLs disallowed by robots.txt and records the crawl delay", async () => {
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    if (req.url === "/robots.txt") {
+      res.writeHead(200, { "content-type": "text/plain" });
+      res.end("User-agent: *\nDisallow: /private/\nCrawl-delay: 0\n");
+      return;
+    }
+    res.writeHead(200, { "content-type": "text/html" });
+    res.end("<h1>Grant</h1>");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await assert.rejects(fetchPage(`${base}/private/grant`), { code: "ROBOTS_DISALLOWED" });
+    assert.equal((await fetchPage(`${base}/funding/grant`)).body, "<h1>Grant</h1>");
+    assert.deepEqual(requested, ["/robots.txt", "/funding/grant"]);
+    assert.equal(getPolitenessStats().crawlDelays[`127.0.0.1:${server.address().port}`], 0);
+  } finally {
+    server.close();
+  }
+});
+
+test("createCrawlPool keeps a throttled host from blocking a fast one", async () => {
+  const arrivals = new Map();
+  function startServer(robots) {
+    const server = http.createServer((req, res) => {
+      if (req.url === "/robots.txt") {
+        res.writeHead(200, { "content-type": "text/plain" });
+        res.end(robots);
+        return;
+      }
+      arrivals.set(req.url, Date.now());
+      res.writeHead(200, { "content-type": "text/html" });
+      res.end(`<h1>${req.url}</h1>`);
+    });
+    return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+  }
+  const slow = await startServer("User-agent: *\nCrawl-delay: 1\n");
+  const fast = await startServer("User-agent: *\nDisallow:\n");
+  const slowBase = `http://127.0.0.1:${slow.address().port}`;
+  const fastBase = `http://127.0.0.1:${fast.address().port}`;
+
+  // Records when each task got a worker, to check no worker sits out the crawl delay.
+  const workerStarts = new Map();
+  const timedFetch = (url) => {
+    workerStarts.set(new URL(url).pathname, Date.now());
+    return fetchPage(url);
+  };
+
+  try {
+    const pool = createCrawlPool(2);
+    const started = Date.now();
+    const slowPages = [1, 2, 3].map((n) => pool.fetch(`${slowBase}/slow-${n}`, timedFetch));
+    const fastPages = await Promise.all([1, 2, 3].map((n) => pool.fetch(`${fastBase}/fast-${n}`, timedFetch)));
+    const fastMs = Date.now() - started;
+
+    assert.deepEqual(
+      fastPages.map((page) => page.body),
+      ["<h1>/fast-1</h1>", "<h1>/fast-2</h1>", "<h1>/fast-3</h1>"]
+    );
+    assert.ok(fastMs < 900, `fast host waited ${fastMs} ms behind the throttled host`);
+    assert.equal((await Promise.all(slowPages)).length, 3);
+
+    const slowArrivals = [1, 2, 3].map((n) => arrivals.get(`/slow-${n}`));
+    assert.ok(slowArrivals[1] - slowArrivals[0] >= 950 && slowArrivals[2] - slowArrivals[1] >= 950);
+    for (const n of [1, 2, 3]) {
+      const held = arrivals.get(`/slow-${n}`) - workerStarts.get(`/slow-${n}`);
+      assert.ok(held < 300, `slow-${n} held a worker for ${held} ms before its request`);
+    }
+  } finally {
+    slow.close();
+    fast.close();
+  }
+});
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseSitemap, selectSitemapEntries, titleFromUrlSlug } from "../scripts/lib/sitemap.mjs";
+
+const URLSET = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://funder.example.org/grants/net-zero-innovation-grant/</loc><lastmod>2026-04-01T09:00:00+00:00</lastmod></url>
+  <url><loc>https://funder.example.org/grants/archived-grant/</loc><lastmod>2025-01-10</lastmod></url>
+  <url><loc><![CDATA[https://funder.example.org/grants/travel-awards?lang=en&amp;x=1]]></loc></url>
+  <url><loc>https://funder.example.org/about/team/</loc><lastmod>2026-04-10</lastmod></url>
+</urlset>`;
+
+test("parseSitemap reads urlset entries with optional lastmod", () => {
+  const parsed = parseSitemap(URLSET);
+  assert.equal(parsed.type, "urlset");
+  assert.equal(parsed.entries.length, 4);
+  assert.deepEqual(parsed.entries[0], {
+    loc: "https://funder.example.org/grants/net-zero-innovation-grant/",
+    lastmod: "2026-04-01T09:00:00+00:00"
+  });
+  assert.equal(parsed.entries[2].loc, "https://funder.example.org/grants/travel-awards?lang=en&x=1");
+  assert.equal(parsed.entries[2].lastmod, null);
+});
+
+test("parseSitemap recognises sitemap indexes", () => {
+  const parsed = parseSitemap(`
+    <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <sitemap><loc>https://funder.example.org/grants-sitemap.xml</loc><lastmod>2026-04-02</lastmod></sitemap>
+    </sitemapindex>
+  `);
+  assert.equal(parsed.type, "index");
+  assert.deepEqual(parsed.entries, [{ loc: "https://funder.example.org/grants-sitemap.xml", lastmod: "2026-04-02" }]);
+});
+
+test("selectSitemapEntries filters by path pattern and lastmod age, newest first", () => {
+  const { entries } = parseSitemap(URLSET);
+  const selected = selectSitemapEntries(entries, {
+    include: ["^/grants/"],
+    maxAgeDays: 60,
+    nowMs: Date.parse("2026-04-20T08:00:00Z")
+  });
+
+  assert.deepEqual(
+    selected.map((entry) => entry.loc),
+    [
+      "https://funder.example.org/grants/net-zero-innovation-grant/",
+      "https://funder.example.org/grants/travel-awards?lang=en&x=1"
+    ]
+  );
+});
+
+test("titleFromUrlSlug turns the last path segment into a readable fallback title", () => {
+  assert.equal(titleFromUrlSlug("https://funder.example.org/grants/net-zero-innovation-grant/"), "Net zero innovation grant");
+  assert.equal(titleFromUrlSlug("https://funder.example.org/"), "");
+});
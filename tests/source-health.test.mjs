@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildSourceHealthReport, classifySourceHealth } from "../scripts/lib/source-health.mjs";
+
+function record(overrides = {}) {
+  return {
+    sourceId: "example",
+    name: "Example Funder",
+    seeds: 2,
+    seedsFetched: 2,
+    candidates: 20,
+    itemsKept: 15,
+    published: 14,
+    httpErrors: 0,
+    dropped: {},
+    ...overrides
+  };
+}
+
+test("classifySourceHealth separates failing, empty and degraded sources", () => {
+  assert.equal(classifySourceHealth(record({ seedsFetched: 0, candidates: 0, itemsKept: 0 })), "failing");
+  assert.equal(classifySourceHealth(record({ itemsKept: 0 })), "empty");
+  assert.equal(classifySourceHealth(record({ itemsKept: 5 }), [{ itemsKept: 15 }, { itemsKept: 13 }]), "degraded");
+  assert.equal(classifySourceHealth(record({ itemsKept: 12 }), [{ itemsKept: 15 }]), "ok");
+  assert.equal(classifySourceHealth(record({ itemsKept: 1 }), [{ itemsKept: 3 }]), "ok");
+});
+
+test("buildSourceHealthReport appends one history entry per date and flags drops", () => {
+  const first = buildSourceHealthReport({
+    generatedAt: "2026-04-19T08:00:00.000Z",
+    records: [record()]
+  });
+  assert.equal(first.sources[0].previousItemsKept, null);
+  assert.equal(first.sources[0].history.length, 1);
+
+  const rerun = buildSourceHealthReport({
+    generatedAt: "2026-04-19T20:00:00.000Z",
+    records: [record({ itemsKept: 16 })],
+    previousReport: first
+  });
+  assert.equal(rerun.sources[0].history.length, 1);
+  assert.equal(rerun.sources[0].history[0].itemsKept, 16);
+
+  const next = buildSourceHealthReport({
+    generatedAt: "2026-04-20T08:00:00.000Z",
+    records: [record({ itemsKept: 0, published: 0 })],
+    previousReport: rerun,
+    historyLimit: 2
+  });
+  const [entry] = next.sources;
+  assert.equal(entry.status, "empty");
+  assert.equal(entry.previousItemsKept, 16);
+  assert.deepEqual(
+    entry.history.map((x) => [x.date, x.itemsKept]),
+    [
+      ["2026-04-19", 16],
+      ["2026-04-20", 0]
+    ]
+  );
+  assert.deepEqual(next.summary, { ok: 0, degraded: 0, empty: 1, failing: 0 });
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildSourceRows, sparklinePoints } from "../docs/assets/source-status.js";
+
+const DATASET = {
+  sources: [
+    { id: "ukri", name: "UKRI", homepage: "https://www.ukri.org/opportunity/" },
+    { id: "wellcome", name: "Wellcome", homepage: "https://wellcome.org/research-funding" }
+  ],
+  items: [
+    { sourceId: "ukri", urlCheck: { status: "reachable" } },
+    { sourceId: "ukri", urlCheck: { status: "reachable_with_redirect" } },
+    { sourceId: "ukri", urlCheck: { status: "http_error" } },
+    { sourceId: "ukri", urlCheck: { status: "skipped" } }
+  ],
+  diagnostics: {
+    errors: [
+      { sourceId: "wellcome", seedUrl: "https://wellcome.org/research-funding", error: "HTTP 403" },
+      { seedUrl: "https://www.ukri.org/opportunity/", detailUrl: "https://www.ukri.org/x", error: "HTTP 500" }
+    ]
+  }
+};
+
+const HISTORY = {
+  snapshots: [
+    { date: "2026-04-19", sources: { ukri: { items: 3, fresh: 3 }, wellcome: { items: 6, fresh: 6 } } },
+    { date: "2026-04-18", sources: { ukri: { items: 2, fresh: 2 }, wellcome: { items: 5, fresh: 5 } } },
+    { date: "2026-04-20", sources: { ukri: { items: 4, fresh: 4 }, wellcome: { items: 0, fresh: 0 } } }
+  ]
+};
+
+test("buildSourceRows derives trend, last successful crawl, pass rate and errors per source", () => {
+  const [ukri, wellcome] = buildSourceRows({ dataset: DATASET, historyIndex: HISTORY });
+
+  assert.deepEqual(
+    ukri.trend.map((point) => point.items),
+    [2, 3, 4]
+  );
+  assert.equal(ukri.lastSuccessfulCrawl, "2026-04-20");
+  assert.equal(ukri.itemCount, 4);
+  assert.equal(ukri.previousItemCount, 3);
+  assert.equal(ukri.urlChecked, 3);
+  assert.equal(ukri.urlPassRate, 67);
+  assert.deepEqual(ukri.errors, [{ url: "https://www.ukri.org/x", message: "HTTP 500" }]);
+  assert.equal(ukri.status, "ok");
+
+  assert.equal(wellcome.status, "empty");
+  assert.equal(wellcome.lastSuccessfulCrawl, "2026-04-19");
+  assert.equal(wellcome.previousItemCount, 6);
+  assert.equal(wellcome.urlPassRate, null);
+  assert.deepEqual(wellcome.errors, [{ url: "https://wellcome.org/research-funding", message: "HTTP 403" }]);
+});
+
+test("buildSourceRows prefers the status from source-health.json", () => {
+  const rows = buildSourceRows({
+    dataset: DATASET,
+    healthReport: { sources: [{ sourceId: "ukri", status: "degraded" }] }
+  });
+  assert.equal(rows[0].status, "degraded");
+  assert.deepEqual(rows[0].trend, []);
+});
+
+test("sparklinePoints scales values into the viewbox", () => {
+  assert.equal(sparklinePoints([0, 5, 10], 120, 28), "0,28 60,14 120,0");
+  assert.equal(sparklinePoints([]), "");
+});
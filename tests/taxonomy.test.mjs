@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ALL_DISCIPLINES,
+  DISCIPLINES,
+  disciplineAncestors,
+  disciplineRelation,
+  findDisciplines,
+  normalizeDisciplines
+} from "../docs/assets/taxonomy.js";
+
+test("every taxonomy parent exists and ids are unique", () => {
+  const ids = DISCIPLINES.map((entry) => entry.id);
+  assert.equal(new Set(ids).size, ids.length);
+  for (const entry of DISCIPLINES) {
+    if (entry.parent) assert.ok(ids.includes(entry.parent), `${entry.id} has unknown parent ${entry.parent}`);
+  }
+});
+
+test("findDisciplines matches synonyms as words and adds parent areas", () => {
+  assert.deepEqual(findDisciplines("Fellowships in neuroscience and machine learning"), [
+    "life sciences",
+    "neuroscience",
+    "computer science and ai",
+    "artificial intelligence"
+  ]);
+  assert.deepEqual(findDisciplines("Brain imaging", { withAncestors: false }), ["neuroscience"]);
+  // "ai" inside other words ("said", "maintain") is not a match.
+  assert.deepEqual(findDisciplines("The panel said it would maintain funding"), []);
+});
+
+test("normalizeDisciplines maps free text onto taxonomy ids", () => {
+  assert.deepEqual(normalizeDisciplines(["Neuroscience", "Quantum computing", "Basket weaving"]), [
+    "life sciences",
+    "neuroscience",
+    "computer science and ai",
+    "physical sciences",
+    "physics"
+  ]);
+  assert.deepEqual(normalizeDisciplines(["All disciplines", "history"]), [ALL_DISCIPLINES]);
+  assert.deepEqual(normalizeDisciplines([]), [ALL_DISCIPLINES]);
+});
+
+test("disciplineRelation gives exact, parent and broad matches", () => {
+  assert.deepEqual(disciplineAncestors("neuroscience"), ["life sciences"]);
+  assert.deepEqual(disciplineRelation(["neuroscience"], ["life sciences", "neuroscience"]), {
+    relation: "exact",
+    discipline: "neuroscience"
+  });
+  assert.deepEqual(disciplineRelation(["neuroscience"], ["life sciences"]), {
+    relation: "parent",
+    discipline: "life sciences"
+  });
+  assert.equal(disciplineRelation(["neuroscience"], [ALL_DISCIPLINES]).relation, "broad");
+  assert.equal(disciplineRelation(["neuroscience"], ["humanities"]).relation, "none");
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { itemTimelineEvents, timelineSummary } from "../docs/assets/timeline.js";
+
+const LISTED = {
+  title: "Fellowship",
+  firstSeen: "2026-04-18",
+  lastSeen: "2026-04-21",
+  droppedOn: null,
+  events: [
+    { date: "2026-04-18", type: "first_seen", note: "First seen (open)" },
+    { date: "2026-04-21", type: "change", note: "Deadline extended from 2026-04-30 to 2026-05-14" }
+  ]
+};
+
+test("itemTimelineEvents closes a listed item's timeline with a still-listed marker", () => {
+  assert.deepEqual(
+    itemTimelineEvents(LISTED).map((event) => [event.date, event.type]),
+    [
+      ["2026-04-18", "first_seen"],
+      ["2026-04-21", "change"],
+      ["2026-04-21", "last_seen"]
+    ]
+  );
+  assert.equal(itemTimelineEvents(LISTED).at(-1).note, "Still listed in the latest crawl");
+  assert.deepEqual(itemTimelineEvents(null), []);
+});
+
+test("itemTimelineEvents puts the last sighting before the drop-off", () => {
+  const dropped = {
+    ...LISTED,
+    droppedOn: "2026-04-22",
+    events: [...LISTED.events, { date: "2026-04-22", type: "dropped", note: "No longer listed by the source" }]
+  };
+  assert.deepEqual(
+    itemTimelineEvents(dropped).map((event) => event.type),
+    ["first_seen", "change", "last_seen", "dropped"]
+  );
+});
+
+test("timelineSummary counts tracked days and changes", () => {
+  assert.deepEqual(timelineSummary(LISTED), {
+    listed: true,
+    firstSeen: "2026-04-18",
+    lastSeen: "2026-04-21",
+    droppedOn: null,
+    trackedDays: 3,
+    changes: 1
+  });
+  assert.equal(timelineSummary({ ...LISTED, droppedOn: "2026-04-25" }).trackedDays, 7);
+  assert.equal(timelineSummary(null), null);
+});
@@ -113,3 +113,119 @@ test("validateDataset fails funding-journey style guidance pages", () => {
   assert.ok(result.errors.some((entry) => entry.message.includes("generic and not a specific grant")));
   assert.ok(result.errors.some((entry) => entry.message.includes("generic apply/manage page")));
 });
+
+test("validateDataset checks staged deadlines", () => {
+  const row = {
+    ...makeDataset().items[0],
+    deadline: "2026-03-01",
+    deadlines: [
+      { label: "Outline proposal deadline", date: "2026-03-01", time: "16:00", timezone: "Europe/London", stage: "outline" },
+      { label: "Full proposal deadline", date: "9 June 2026", time: null, timezone: null, stage: "final" },
+      { label: "Rolling deadline", date: null, time: null, timezone: null, stage: "whenever" }
+    ]
+  };
+
+  const result = validateDataset(makeDataset({ items: [row] }));
+  assert.deepEqual(
+    result.errors.map((entry) => entry.message),
+    [
+      "items[0].deadlines[1].date must be YYYY-MM-DD or null",
+      "items[0].deadlines[2].stage must be one of registration/outline/full/round/final/rolling"
+    ]
+  );
+});
+
+test("validateDataset accepts upcoming items with an opening instant", () => {
+  const upcoming = { ...makeDataset().items[0], status: "upcoming", opensAt: "2026-05-01T08:00:00.000Z" };
+  const missing = { ...upcoming, id: "row-2", opensAt: null };
+  const malformed = { ...upcoming, id: "row-3", opensAt: "next spring" };
+
+  const result = validateDataset(makeDataset({ items: [upcoming, missing, malformed] }));
+  assert.deepEqual(
+    result.errors.map((entry) => entry.message),
+    ["items[2].opensAt must be an ISO datetime"]
+  );
+  assert.ok(result.warnings.some((entry) => entry.message === "items[1].opensAt is missing for an upcoming item"));
+});
+
+test("validateDataset checks structured amounts", () => {
+  const base = makeDataset().items[0];
+  const ok = {
+    ...base,
+    amount: "£50,000 to £500,000",
+    amountDetails: { min: 50000, max: 500000, currency: "GBP", period: null, fecPercent: 80, raw: "£50,000 to £500,000" }
+  };
+  const inverted = { ...ok, id: "row-2", amountDetails: { ...ok.amountDetails, min: 900000 } };
+  const oddCurrency = { ...ok, id: "row-3", amountDetails: { ...ok.amountDetails, currency: "JPY" } };
+
+  const result = validateDataset(makeDataset({ items: [ok, inverted, oddCurrency] }));
+  assert.deepEqual(
+    result.errors.map((entry) => entry.message),
+    ["items[1].amountDetails.min is greater than max"]
+  );
+  assert.ok(result.warnings.some((entry) => entry.message === "items[2].amountDetails.currency is non-standard (JPY)"));
+});
+
+test("validateDataset warns about disciplines outside the taxonomy", () => {
+  const row = {
+    ...makeDataset().items[0],
+    eligibility: { levels: [], careerStages: [], nationalities: ["any"], disciplines: ["life sciences", "basket weaving"] }
+  };
+
+  const result = validateDataset(makeDataset({ items: [row] }));
+  assert.ok(
+    result.warnings.some((entry) => entry.message === "items[0].eligibility.disciplines not in the taxonomy (basket weaving)")
+  );
+});
+
+test("validateDataset checks identity aliases", () => {
+  const base = makeDataset().items[0];
+  const ok = {
+    ...base,
+    aliases: [{ id: "old-hash", title: "Funding opportunity: X", url: "https://example.org/old", matchedBy: "url" }]
+  };
+  const notArray = { ...base, id: "row-2", url: "https://example.org/other", aliases: "old-hash" };
+
+  const result = validateDataset(makeDataset({ items: [ok, notArray] }));
+  assert.deepEqual(
+    result.errors.map((entry) => entry.message),
+    ["items[1].aliases must be an array"]
+  );
+});
+
+test("validateDataset checks cross-source listings", () => {
+  const base = makeDataset().items[0];
+  const ok = {
+    ...base,
+    listedBy: [
+      { sourceId: "src", sourceName: "Source", url: base.url },
+      { sourceId: "mirror", sourceName: "Mirror", url: "https://mirror.example.org/opportunity" }
+    ]
+  };
+  const missingOwn = { ...ok, id: "row-2", url: "https://example.org/other", listedBy: [ok.listedBy[1]] };
+
+  const result = validateDataset(makeDataset({ items: [ok, missingOwn] }));
+  assert.deepEqual(result.errors, []);
+  assert.ok(
+    result.warnings.some((entry) => entry.message === "items[1].listedBy does not include the item's own source (src)")
+  );
+});
+
+test("validateDataset checks recent field changes", () => {
+  const base = makeDataset().items[0];
+  const ok = {
+    ...base,
+    recentChanges: [{ field: "deadline", from: "2026-02-20", to: "2026-03-01", note: "Deadline extended" }]
+  };
+  const noNote = { ...ok, id: "row-2", url: "https://example.org/other", recentChanges: [{ field: "deadline" }] };
+  const notArray = { ...ok, id: "row-3", url: "https://example.org/third", recentChanges: {} };
+
+  const result = validateDataset(makeDataset({ items: [ok, noNote, notArray] }));
+  assert.deepEqual(
+    result.errors.map((entry) => entry.message),
+    ["items[2].recentChanges must be an array"]
+  );
+  assert.ok(
+    result.warnings.some((entry) => entry.message === "items[1].recentChanges entries should have a field and a note")
+  );
+});